@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const cli = require( './lib/cli' );
+
+cli( process.argv.slice( 2 ) )
+	.then( code => process.exitCode = code )
+	.catch( error => {
+		console.error( error.message );
+		process.exitCode = 1;
+	} );
@@ -0,0 +1,18 @@
+const globals = require( 'globals' );
+const eslintConfig = require( './lib/eslint-config' );
+
+module.exports = [
+	...eslintConfig(),
+	// The boilerplate itself runs in Node
+	{
+		files: [ '*.js', 'lib/**/*.js' ],
+		languageOptions: {
+			sourceType: 'script',
+			globals: globals.node,
+		},
+		rules: {
+			// Allow requiring built-ins like crypto
+			'no-redeclare': [ 'error', { builtinGlobals: false } ],
+		},
+	},
+];
@@ -1,26 +1,45 @@
 // Built-in modules
 const fs = require( 'fs' );
 const path = require( 'path' );
+const util = require( 'util' );
 
 // Gulp + utilities
 const { src, dest, watch, series, parallel, lastRun } = require( 'gulp' );
+const asyncDone = require( 'async-done' );
 const through = require( 'through2' );
+const picomatch = require( 'picomatch' );
 const rollupEach = require( './lib/rollup-each' );
-const getDependencies = require( './lib/dependencies' )();
+const rollupChunks = require( './lib/rollup-chunks' );
+const scriptModules = require( './lib/script-modules' );
+const createDependencies = require( './lib/dependencies' );
 const cssnanoPreset = require( './lib/cssnano-preset-custom' );
+const optimizeImages = require( './lib/optimize-images' );
+const svgSprite = require( './lib/svg-sprite' );
+const assetManifest = require( './lib/asset-manifest' );
+const wpAssetPhp = require( './lib/wp-asset-php' );
+const createExternals = require( './lib/externals' );
+const createBuildCache = require( './lib/build-cache' );
+const typeCheck = require( './lib/type-check' );
+const sizeReport = require( './lib/size-report' );
+const createBuildErrors = require( './lib/build-errors' );
+const { CONFIG_FILES, validateConfig, findConfigFile, loadConfig } = require( './lib/config' );
+const wordpressPackages = require( './lib/wordpress-packages' );
 
 // General Gulp Plugins
-const filter = require( 'gulp-custom-filter' );
 const rename = require( 'gulp-rename' );
 
 // Style Handling
-const sass = require( 'gulp-dart-sass' );
+const sass = require( './lib/gulp-sass' );
+const sassFunctions = require( './lib/sass-functions' );
 const postcss = require( 'gulp-postcss' );
 const postcssPresetEnv = require( 'postcss-preset-env' );
 const cssnano = require( 'cssnano' );
 
 // Linting Handling
 const eslint = require( 'gulp-eslint-new' );
+const createEslintConfig = require( './lib/eslint-config' );
+const stylelint = require( './lib/gulp-stylelint' );
+const lintResults = require( './lib/lint-results' );
 
 // Script Handling
 const rollup = require( 'rollup' );
@@ -35,6 +54,9 @@ const terser = require( '@rollup/plugin-terser' );
 // ! Utilities
 // =========================
 
+// Extensions of scripts to compile, including JSX/TypeScript
+const scriptExtensions = [ '.mjs', '.js', '.jsx', '.ts', '.tsx' ];
+
 // Set the since option for src(), using the lastRun of the
 // specified task, or since watching started.
 let sinceWatching = 0;
@@ -42,6 +64,30 @@ function sinceLastTask( task ) {
 	return { since: lastRun( task ) || sinceWatching };
 }
 
+// Check if the project has its own ESLint flat config
+function hasEslintConfig() {
+	return [ 'eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs' ].some( filename => fs.existsSync( filename ) );
+}
+
+// Whether any of the watch tasks have started
+function isWatching() {
+	return sinceWatching > 0;
+}
+
+// Combine the streams into one, ending once they all have (and forwarding errors)
+function merge( ...streams ) {
+	const merged = through.obj();
+
+	let remaining = streams.length;
+	for ( const stream of streams ) {
+		stream.on( 'error', error => merged.emit( 'error', error ) );
+		stream.on( 'end', () => --remaining || merged.end() );
+		stream.pipe( merged, { end: false } );
+	}
+
+	return merged;
+}
+
 // Log the filename, formatted with a custom string
 function log( format ) {
 	return through.obj( function( file, encoding, callback ) {
@@ -52,6 +98,20 @@ function log( format ) {
 	} );
 }
 
+// Log the external imports (referenced as globals) of each bundle
+function logExternals() {
+	return through.obj( function( file, encoding, callback ) {
+		const { imports = [] } = file.rollup || {};
+
+		if ( imports.length ) {
+			console.info( 'Externals for %s: %s', file.relative, imports.join( ', ' ) );
+		}
+
+		// pass through
+		callback( null, file );
+	} );
+}
+
 // Update the mtime of the file
 function mtime() {
 	return through.obj( function( file, encoding, callback ) {
@@ -60,38 +120,82 @@ function mtime() {
 	} );
 }
 
-// For gulp-custom-filter; exclude those with no changes (including dependencies)
-function checkDependencies( task ) {
-	const { since } = sinceLastTask( task );
+// Normalize a path/glob for matching, since chokidar paths lack the ./
+function normalizePath( filepath ) {
+	return filepath.split( path.sep ).join( '/' ).replace( /^\.\//, '' );
+}
 
-	return filter( function( file ) {
-		// Not watching or first run, continue
-		if ( ! since ) {
-			return true;
-		}
+// Check if the path matches the globs, including negated ones
+function matchesGlobs( filepath, globs ) {
+	const include = globs.filter( glob => ! glob.startsWith( '!' ) ).map( normalizePath );
+	const exclude = globs.filter( glob => glob.startsWith( '!' ) ).map( glob => normalizePath( glob.slice( 1 ) ) );
 
-		// File in question has changed, continue
-		if ( fs.statSync( file.path ).mtime.getTime() > since ) {
-			console.info( 'Change detected to %s', file.path.substr( file.base.length ) );
-			return true;
-		}
+	filepath = normalizePath( filepath );
 
-		const dependencies = getDependencies( file.path );
+	return picomatch( include, { dot: true } )( filepath ) && ! picomatch( exclude, { dot: true } )( filepath );
+}
+
+// Scan the dependencies of all the entries, to build the dependency graph
+function indexDependencies( globs, getDependencies ) {
+	src( globs, { read: false } )
+		.on( 'data', file => getDependencies( file.path ) )
+		.on( 'error', error => console.error( error.message ) );
+}
+
+// Give a task function a name for logging
+function named( displayName, task ) {
+	task.displayName = displayName;
+
+	return task;
+}
 
-		let hasChanges = false;
+// Pass the watcher's changed paths (batched) to the handler, for tasks that
+// only need to rebuild what those paths affect; it can return a task to run
+function onChanges( watcher, options, handler ) {
+	const { events = [ 'add', 'change' ], delay = 200 } = options;
 
-		// Check if ANY dependencies have been recently modified
-		dependencies.forEach( dep => {
-			const stats = fs.statSync( dep );
+	const changes = new Map();
+	let timeout;
+	let running = false;
+
+	function run() {
+		// Wait for the current run to finish
+		if ( running || ! changes.size ) {
+			return;
+		}
+
+		const batch = new Map( changes );
+		changes.clear();
+
+		// The handler may have nothing to do
+		const task = handler( batch );
+		if ( ! task ) {
+			return;
+		}
 
-			if ( stats.mtime.getTime() > since ) {
-				console.info( 'Change detected to %s', dep.substr( file.base.length ) );
-				hasChanges = true;
+		running = true;
+		asyncDone( task, error => {
+			if ( error ) {
+				console.error( error.message );
 			}
+
+			running = false;
+			run();
 		} );
+	}
+
+	watcher.on( 'all', ( event, filepath ) => {
+		if ( ! events.includes( event ) ) {
+			return;
+		}
+
+		changes.set( filepath, event );
 
-		return hasChanges;
+		clearTimeout( timeout );
+		timeout = setTimeout( run, delay );
 	} );
+
+	return watcher;
 }
 
 // =========================
@@ -115,40 +219,113 @@ function getGlobs( subdirs = '' ) {
 				// Make sure partials arent' matched
 				`!./**/_*.scss`,
 			],
+			lint: [
+				`${ prefix }/**/*.scss`,
+				`!${ prefix }/**/{vendor,node_modules}/**/*.scss`,
+			],
 			watch: [
 				`${ prefix }/**/*.scss`,
+				// Assets used by url() or the custom functions
+				`${ prefix }/**/*.{svg,png,jpg,jpeg,gif,webp,avif,woff,woff2,ttf,otf,eot,json}`,
+				`!${ prefix }/**/node_modules/**/*.{svg,png,jpg,jpeg,gif,webp,avif,woff,woff2,ttf,otf,eot,json}`,
 			],
 			output: './',
 		},
 		scripts: {
 			input: [
 				// Both those in a js folder...
-				`${ prefix }/**/js/*.js`,
+				`${ prefix }/**/js/*.{js,jsx,ts,tsx}`,
 				// ... or a src subfolder
-				`${ prefix }/**/src/js/*.js`,
-				`${ prefix }/**/js/src/*.js`,
-				`${ prefix }/**/js/lib/*.js`,
-				// Skip compiled/vendor stuff though
+				`${ prefix }/**/src/js/*.{js,jsx,ts,tsx}`,
+				`${ prefix }/**/js/src/*.{js,jsx,ts,tsx}`,
+				`${ prefix }/**/js/lib/*.{js,jsx,ts,tsx}`,
+				// Skip compiled/vendor stuff and type declarations though
 				`!${ prefix }/**/*.min.js`,
+				`!${ prefix }/**/*.d.ts`,
 				`!${ prefix }/**/dist/js/*.js`,
-				`!${ prefix }/**/node_modules/**/*.js`,
+				`!${ prefix }/**/node_modules/**/*.{js,jsx,ts,tsx}`,
 			],
 			lint: [
-				`${ prefix }/**/*.js`,
+				`${ prefix }/**/*.{js,jsx,ts,tsx}`,
 				`!${ prefix }/**/*.min.js`,
-				`!${ prefix }/**/{vendor,node_modules}/**/*.js`,
+				`!${ prefix }/**/*.d.ts`,
+				`!${ prefix }/**/{vendor,node_modules}/**/*.{js,jsx,ts,tsx}`,
 			],
 			watch: [
 				`${ prefix }/**/*.json`,
-				`${ prefix }/**/*.js`,
+				`${ prefix }/**/*.{js,mjs,cjs,jsx,ts,tsx}`,
 				`!${ prefix }/**/*.min.js`,
-				`!${ prefix }/**/{vendor,node_modules}/**/*.js`,
+				`!${ prefix }/**/{vendor,node_modules}/**/*.{json,js,mjs,cjs,jsx,ts,tsx}`,
+			],
+			output: './',
+		},
+		icons: {
+			input: [
+				// Any icons folder, each one becoming a sprite
+				`${ prefix }/**/icons/*.svg`,
+				// Skip compiled/vendor stuff though
+				`!${ prefix }/**/dist/**`,
+				`!${ prefix }/**/node_modules/**`,
+			],
+			watch: [
+				`${ prefix }/**/icons/*.svg`,
+				`!${ prefix }/**/dist/**`,
+				`!${ prefix }/**/node_modules/**`,
+			],
+			output: './',
+		},
+		images: {
+			input: [
+				// Both those in a src/img folder...
+				`${ prefix }/**/src/img/**/*.{png,jpg,jpeg,gif,svg}`,
+				// ... or an img/src folder
+				`${ prefix }/**/img/src/**/*.{png,jpg,jpeg,gif,svg}`,
+				// Skip vendor stuff though
+				`!${ prefix }/**/node_modules/**`,
+			],
+			watch: [
+				`${ prefix }/**/src/img/**/*.{png,jpg,jpeg,gif,svg}`,
+				`${ prefix }/**/img/src/**/*.{png,jpg,jpeg,gif,svg}`,
+				`!${ prefix }/**/node_modules/**`,
 			],
 			output: './',
 		},
 	};
 }
 
+// Get the build mode from the --mode flag or NODE_ENV, defaulting to production
+function getMode() {
+	const index = process.argv.findIndex( arg => arg === '--mode' || arg.startsWith( '--mode=' ) );
+
+	let mode;
+	if ( index !== -1 ) {
+		const [ , value ] = process.argv[ index ].split( '=' );
+		mode = value || process.argv[ index + 1 ];
+	} else {
+		mode = process.env.NODE_ENV;
+	}
+
+	return mode === 'development' ? 'development' : 'production';
+}
+
+// Hash everything that affects the outputs, to know when cached builds are stale
+function getConfigHash( config ) {
+	// Linting, syncing and watching don't affect the outputs
+	const outputConfig = Object.fromEntries( Object.entries( config ).filter( ( [ key ] ) => ! /^(eslint|stylelint|strict|sync|watch)/.test( key ) ) );
+
+	// Nor do the project's dependencies/settings, or the gulpfile/config file, as custom
+	// plugins (e.g. rollupPlugins) are hashed without the options in their closures
+	const projectFiles = [ 'package.json', 'package-lock.json', 'babel.config.json', '.babelrc', '.browserslistrc', 'gulpfile.js', ...CONFIG_FILES ]
+		.map( filename => fs.existsSync( filename ) ? fs.readFileSync( filename, { encoding: 'utf-8' } ) : '' );
+
+	// Or this boilerplate, with its lib
+	const libDir = path.join( __dirname, 'lib' );
+	const sources = [ __filename, ...fs.readdirSync( libDir ).filter( filename => filename.endsWith( '.js' ) ).sort().map( filename => path.join( libDir, filename ) ) ];
+	const boilerplate = [ require( './package.json' ), ...sources.map( filename => fs.readFileSync( filename, { encoding: 'utf-8' } ) ) ];
+
+	return createBuildCache.hashValue( { outputConfig, projectFiles, boilerplate } );
+}
+
 function parseDefaults( config, defaults ) {
 	const parsedConfig = { ...defaults, ...config };
 
@@ -163,36 +340,72 @@ function parseDefaults( config, defaults ) {
 // ! Boilerplates
 // =========================
 
-function defaultBoilerplate( config = {} ) {
-	config = parseDefaults( config, {
+function getDefaults() {
+	return {
+		mode: getMode(),
+		sassLoadPaths: [ 'node_modules' ],
+		sassPkgImporter: true,
+		cache: true,
+		cacheDir: createBuildCache.DEFAULT_DIRECTORY,
+		sizeReport: true,
+		sizeBudgets: {},
+		syncPort: 5759,
+		syncBaseDir: '',
+		syncCertDir: path.dirname( process.cwd() ),
 		watchOptions: {
 			ignoreinitial: false,
 			events: [ 'add', 'change' ],
 			usePolling: true,
 		},
-	} );
+	};
+}
+
+function defaultBoilerplate( config = {} ) {
+	config = parseDefaults( config, getDefaults() );
 
-	const { paths, watchOptions, syncStartPath, syncBaseDir = '', syncCertDir = path.dirname(process.cwd()), syncKeyFile, syncCertFile } = config;
-	let { postcssPlugins, postcssPresetEnvConfig, cssnanoConfig, rollupPlugins, syncWatchFiles } = config;
+	const { mode, wordpress, hashing, assetPhp, externals, eslintConfig, stylelintConfig, strict, sassLoadPaths, sassPkgImporter, sassFunctions: customSassFunctions, typeCheck: typeCheckConfig, cache, cacheDir, sizeReport: reportSizesConfig, sizeBudgets, chunks, legacy, rollupPlugins, paths, packages, watchOptions, syncProxy, syncPort, syncStartPath, syncBaseDir, syncCertDir, syncKeyFile, syncCertFile } = config;
+	let { postcssPlugins, postcssPresetEnvConfig, cssnanoConfig, imageFormats, imageOptions, iconPrefix, syncWatchFiles } = config;
+
+	const isProduction = mode === 'production';
 
 	if ( ! postcssPlugins ) {
 		postcssPlugins = [
 			postcssPresetEnv( postcssPresetEnvConfig ),
-			cssnano( {
-				preset: cssnanoPreset( cssnanoConfig ),
-			} ),
 		];
+
+		// Only minify for production, keep it readable for development
+		if ( isProduction ) {
+			postcssPlugins.push( cssnano( {
+				preset: cssnanoPreset( cssnanoConfig ),
+			} ) );
+		}
 	}
 
-	if ( ! rollupPlugins ) {
-		rollupPlugins = [
+	// The default plugins; for differential builds, transpiling for either
+	// browsers that support ES modules (modern), or those that don't (legacy)
+	function createRollupPlugins( variant ) {
+		const presets = [
+			[ require.resolve( '@babel/preset-react' ), { runtime: 'automatic' } ],
+			require.resolve( '@babel/preset-typescript' ),
+		];
+
+		if ( variant ) {
+			presets.push( [ require.resolve( '@babel/preset-env' ), {
+				bugfixes: true,
+				// Legacy uses the project's browserslist targets
+				...( variant === 'modern' ? { targets: { esmodules: true } } : {} ),
+			} ] );
+		}
+
+		const plugins = [
 			replace( {
-				ENVIRONMENT: JSON.stringify( 'production' ),
-				'process.env.NODE_ENV': JSON.stringify( 'production' ),
+				ENVIRONMENT: JSON.stringify( mode ),
+				'process.env.NODE_ENV': JSON.stringify( mode ),
 				preventAssignment: true,
 			} ),
 			nodeResolve( {
 				browser: true,
+				extensions: [ ...scriptExtensions, '.json' ],
 			} ),
 			commonjs( {
 				include: 'node_modules/**',
@@ -200,13 +413,36 @@ function defaultBoilerplate( config = {} ) {
 			babel( {
 				babelHelpers: 'runtime',
 				exclude: 'node_modules/**',
+				extensions: scriptExtensions,
+				// Merged with the project's config
+				presets,
 			} ),
 			json( {
 				preferConst: true,
-				compact: true,
+				compact: isProduction,
 			} ),
-			terser(),
 		];
+
+		// Only minify for production, keep it readable for development
+		if ( isProduction ) {
+			plugins.push( terser() );
+		}
+
+		return plugins;
+	}
+
+	// Use the given plugins for every build, otherwise the defaults for each variant
+	const variantRollupPlugins = {};
+	function getRollupPlugins( variant = '' ) {
+		if ( rollupPlugins ) {
+			return rollupPlugins;
+		}
+
+		if ( ! variantRollupPlugins[ variant ] ) {
+			variantRollupPlugins[ variant ] = createRollupPlugins( variant );
+		}
+
+		return variantRollupPlugins[ variant ];
 	}
 
 	if ( ! syncWatchFiles ) {
@@ -217,92 +453,659 @@ function defaultBoilerplate( config = {} ) {
 		];
 	}
 
+	// Shared by the Sass compiler and dependency scanner
+	const sassOptions = {
+		loadPaths: sassLoadPaths.map( loadPath => path.resolve( loadPath ) ),
+		pkgImporter: sassPkgImporter,
+	};
+
+	const searchConfig = createDependencies.createSearchConfig( sassOptions );
+
+	// Loads the stylesheets, so the built-in functions resolve paths from their callers
+	const sassImporter = sassFunctions.createImporter( sassOptions );
+
+	// Persist caches between runs, to skip rebuilding unchanged entries
+	const configHash = getConfigHash( config );
+	const buildCache = cache && createBuildCache( {
+		directory: cacheDir,
+		configHash,
+		getDependencies: filename => getDependencies( filename ),
+	} );
+
+	const getDependencies = createDependencies( searchConfig, {
+		cache: buildCache ? buildCache.store( 'dependencies', createBuildCache.hashValue( [ searchConfig, sassOptions ] ) ) : undefined,
+	} );
+
+	// Use the given/project ESLint config, otherwise the shipped one (with WordPress' globals if needed)
+	const eslintOptions = {};
+	if ( eslintConfig || ! hasEslintConfig() ) {
+		eslintOptions.overrideConfigFile = true;
+		eslintOptions.overrideConfig = eslintConfig || createEslintConfig( { wordpress } );
+	}
+
+	// Fail linting on errors (and optionally warnings), with an optional report
+	const lintOptions = strict === true ? {} : strict || {};
+
+	// Type check with the tsconfig.json (or the given one) if enabled
+	const tsconfig = typeof typeCheckConfig === 'string' ? typeCheckConfig : 'tsconfig.json';
+
+	// Imports to reference as globals rather than bundle
+	const { external, globals, plugin: externalsPlugin } = createExternals( externals );
+
 	const gulpSrc = {
 		dot: true,
 		cwdbase: true,
 	};
 
+	// Write sourcemaps to separate files for production,
+	// inline them for development to skip the extra writes
+	const gulpSourcemaps = isProduction ? '.' : true;
+
+	// Add content hashes to filenames if enabled
+	function hashFilenames() {
+		return hashing ? assetManifest.hash( hashing === true ? {} : hashing ) : through.obj();
+	}
+
+	// Record the hashed filenames if enabled
+	function updateManifest() {
+		return hashing ? assetManifest.manifest() : through.obj();
+	}
+
+	// Catch build errors, showing them in the browser while syncing; with the
+	// status of each theme/plugin if the WordPress templates were given them
+	const buildErrors = createBuildErrors( {
+		isWatching,
+		onDone: packages && ( ( build, result ) => wordpressPackages.reportPackages( packages, build, result, { all: ! isWatching() } ) ),
+	} );
+
+	// The previous size of each output, for reporting the change
+	// (for the same mode, since development builds aren't minified)
+	const previousSizes = cache ? createBuildCache.createStore( path.resolve( cacheDir, `sizes-${ mode }.json` ) ) : new Map();
+
+	// Report the output sizes if enabled, warning if over budget (or failing, unless watching)
+	function reportSizes() {
+		return reportSizesConfig ? sizeReport( {
+			budgets: sizeBudgets,
+			fail: ! isWatching(),
+			store: previousSizes,
+		} ) : through.obj();
+	}
+
+	// Skip entries built from the same (unchanged) inputs if caching,
+	// or groups of them (e.g. chunked folders) if all are unchanged
+	function skipUnchanged( variant, options ) {
+		return buildCache ? buildCache.skipUnchanged( variant, options ) : through.obj();
+	}
+
+	// Record what each entry was built from/to if caching
+	function recordBuilds( variant ) {
+		return buildCache ? buildCache.record( variant ) : through.obj();
+	}
+
+	// =========================
+	// ! Output Handling
+	// =========================
+
+	// Save to ../css
+	function renameStyles( output ) {
+		output.dirname = output.dirname.replace(
+			path.join( 'src', 'scss' ),
+			path.join( 'dist', 'css' ),
+		).replace( 'scss', 'css' );
+	}
+
+	// Save to ../dist if in /src
+	function renameScripts( output ) {
+		output.dirname = output.dirname.replace(
+			path.join( 'src', 'js' ),
+			path.join( 'dist', 'js' ),
+		).replace(
+			path.join( 'js', 'src' ),
+			path.join( 'js', 'dist' ),
+		);
+		// Unless already named so (e.g. chunks)
+		if ( ! output.basename.endsWith( '.min' ) ) {
+			output.basename = output.basename + '.min';
+		}
+		// Including for JSX/TypeScript entries
+		output.extname = '.js';
+	}
+
+	// Save legacy builds alongside, as .legacy.min.js
+	function renameLegacyScripts( output ) {
+		renameScripts( output );
+		output.basename = output.basename.replace( /\.min$/, '.legacy.min' );
+	}
+
+	// Save to ../dist if in /src
+	function renameIcons( output ) {
+		if ( path.basename( output.dirname ) === 'src' ) {
+			output.dirname = path.join( path.dirname( output.dirname ), 'dist' );
+		}
+	}
+
+	// Save to ../dist
+	function renameImages( output ) {
+		output.dirname = output.dirname.replace(
+			path.join( 'src', 'img' ),
+			path.join( 'dist', 'img' ),
+		).replace(
+			path.join( 'img', 'src' ),
+			path.join( 'img', 'dist' ),
+		);
+	}
+
+	// Get the path an input is saved to, using the same rules as rename()
+	function getOutputPath( filepath, renamer, extname = path.extname( filepath ) ) {
+		const output = {
+			dirname: path.dirname( filepath ),
+			basename: path.basename( filepath, path.extname( filepath ) ),
+			extname,
+		};
+
+		renamer( output );
+
+		return path.join( output.dirname, output.basename + output.extname );
+	}
+
+	// Get all the files generated from an input, for each type
+	const outputs = {
+		styles( filepath ) {
+			const css = getOutputPath( filepath, renameStyles, '.css' );
+
+			return [ css, `${ css }.map` ];
+		},
+		scripts( filepath ) {
+			const files = [];
+
+			for ( const renamer of legacy ? [ renameScripts, renameLegacyScripts ] : [ renameScripts ] ) {
+				const js = getOutputPath( filepath, renamer, '.js' );
+				files.push( js, `${ js }.map`, js.replace( /\.min\.js$/, '.asset.php' ) );
+			}
+
+			return files;
+		},
+		icons( filepath ) {
+			// The sprite is for the whole folder
+			const folder = path.dirname( filepath );
+			const name = path.basename( folder );
+			const sprite = getOutputPath( path.join( path.dirname( folder ), `${ name }.svg` ), renameIcons );
+
+			return [
+				sprite,
+				path.join( path.dirname( sprite ), `${ name }.json` ),
+				path.join( path.dirname( sprite ), `_${ name }.scss` ),
+			];
+		},
+		images( filepath ) {
+			const image = getOutputPath( filepath, renameImages );
+			const { dir, name } = path.parse( image );
+
+			return [ image, ...[ 'webp', 'avif' ].map( format => path.join( dir, `${ name }.${ format }` ) ) ];
+		},
+	};
+
+	// Remove the files, including hashed versions
+	function removeFiles( files ) {
+		for ( const output of files ) {
+			const removed = assetManifest.remove( output );
+
+			if ( fs.existsSync( output ) ) {
+				fs.unlinkSync( output );
+				removed.push( output );
+			}
+
+			removed.forEach( file => console.info( 'Removed %s', normalizePath( path.relative( process.cwd(), file ) ) ) );
+		}
+	}
+
+	// Remove the files generated from an input
+	function removeOutputs( type, filepath ) {
+		removeFiles( outputs[ type ]( filepath ) );
+
+		// Including the entry's modern/legacy scripts
+		if ( type === 'scripts' && legacy ) {
+			scriptModules.remove( getOutputPath( filepath, renameScripts, '.js' ) );
+		}
+	}
+
+	// Remove the outputs of all inputs of the type
+	function cleanOutputs( type ) {
+		return src( paths[ type ].input, { ...gulpSrc, read: false } )
+			.pipe( through.obj( function( file, encoding, callback ) {
+				removeOutputs( type, file.relative );
+
+				// Including any shared chunks
+				if ( type === 'scripts' && chunks ) {
+					removeChunks( getChunksFolder( file.relative ) );
+				}
+
+				callback();
+			} ) );
+	}
+
+	// Remove the legacy scripts and modules.json entries of previous differential builds
+	function removeLegacyOutputs() {
+		return through.obj( function( file, encoding, callback ) {
+			const js = getOutputPath( file.relative, renameLegacyScripts, '.js' );
+
+			removeFiles( [ js, `${ js }.map`, js.replace( /\.min\.js$/, '.asset.php' ) ] );
+			scriptModules.remove( getOutputPath( file.relative, renameScripts, '.js' ) );
+
+			callback( null, file );
+		} );
+	}
+
+	function cleanStyles() {
+		return cleanOutputs( 'styles' );
+	}
+
+	function cleanScripts() {
+		return cleanOutputs( 'scripts' );
+	}
+
+	function cleanIcons() {
+		return cleanOutputs( 'icons' );
+	}
+
+	function cleanImages() {
+		return cleanOutputs( 'images' );
+	}
+
+	// Get the entries affected by the changed paths (via the dependency graph,
+	// which is kept up to date), removing the outputs of removed entries
+	function getAffectedEntries( type, changes ) {
+		const { input } = paths[ type ];
+		const entries = new Set();
+
+		for ( const [ filepath, event ] of changes ) {
+			const filename = path.resolve( filepath );
+			let dependents;
+
+			if ( event === 'unlink' ) {
+				if ( matchesGlobs( filepath, input ) ) {
+					removeOutputs( type, filepath );
+				}
+
+				dependents = getDependencies.remove( filename );
+			} else {
+				getDependencies.update( filename );
+				dependents = getDependencies.getDependents( filename );
+
+				// Skip those unrelated to the entries (e.g. other assets)
+				const isEntry = matchesGlobs( filepath, input );
+				if ( ! isEntry && ! dependents.size && ! matchesGlobs( filepath, paths[ type ].lint ) ) {
+					continue;
+				}
+
+				console.info( 'Change detected to %s', normalizePath( filepath ) );
+
+				if ( isEntry ) {
+					entries.add( normalizePath( filepath ) );
+				}
+			}
+
+			for ( const dependent of dependents ) {
+				const relative = path.relative( process.cwd(), dependent );
+
+				if ( fs.existsSync( dependent ) && matchesGlobs( relative, input ) ) {
+					entries.add( normalizePath( relative ) );
+				}
+			}
+		}
+
+		return [ ...entries ];
+	}
+
+	// Get the changed paths that need linting
+	function getLintable( type, changes ) {
+		return [ ...changes ]
+			.filter( ( [ filepath, event ] ) => event !== 'unlink' && matchesGlobs( filepath, paths[ type ].lint ) )
+			.map( ( [ filepath ] ) => normalizePath( filepath ) );
+	}
+
+	// Lint the changed files, then build only the entries they affect
+	function onSourceChanges( type, lint, build ) {
+		return changes => {
+			const lintable = getLintable( type, changes );
+			const entries = getAffectedEntries( type, changes );
+
+			const tasks = [];
+			if ( lintable.length ) {
+				tasks.push( named( lint.name, () => lint( lintable, {}, false ) ) );
+			}
+			if ( entries.length ) {
+				tasks.push( named( build.name, () => build( entries ) ) );
+			}
+
+			return tasks.length ? series( ...tasks ) : false;
+		};
+	}
+
 	// =========================
 	// ! Style Handling
 	// =========================
 
 
-	function compileStyles() {
-		return src( paths.styles.input, { ...gulpSrc, sourcemaps: true } )
-			// Exclude those that haven't been modified (including dependencies)
-			.pipe( checkDependencies( compileStyles ) )
+	function lintStyleFiles( input, since, enabled ) {
+		return src( input, { ...gulpSrc, ...since } )
 			// Print the filename for reference
-			.pipe( log( 'Compiling %s' ) )
-			// With Dart Sass
-			.pipe( sass( {
-				silenceDeprecations: [ 'legacy-js-api' ],
+			.pipe( log( 'Linting %s' ) )
+			// Lint and display issues
+			.pipe( stylelint( {
+				config: stylelintConfig,
 			} ) )
-			.on( 'error', sass.logError )
+			.pipe( stylelint.formatEach() )
+			// Fail/report if enabled
+			.pipe( lintResults( 'stylelint', { ...lintOptions, enabled } ) );
+	}
+
+	function validateStyles() {
+		// Check all files if strict, unless watching
+		const isStrict = !! strict && ! isWatching();
+
+		// Check all lintable styles
+		return lintStyleFiles( paths.styles.lint, isStrict ? {} : sinceLastTask( validateStyles ), isStrict );
+	}
+
+	function lintStyles() {
+		return lintStyleFiles( paths.styles.lint, {}, true );
+	}
+
+	function buildStyles( input ) {
+		const errors = buildErrors.track( 'styles' );
+
+		return src( input, { ...gulpSrc, sourcemaps: true } )
+			.pipe( skipUnchanged() )
+			// Print the filename for reference
+			.pipe( log( 'Compiling %s' ) )
+			// With Dart Sass, skipping those that fail
+			.pipe( errors.each( () => sass( {
+				loadPaths: sassOptions.loadPaths,
+				pkgImporter: sassOptions.pkgImporter,
+				importer: sassImporter,
+				importers: [ sassImporter ],
+				// Built-in functions, plus any custom ones
+				functions: file => ( {
+					...sassFunctions( file ),
+					...customSassFunctions,
+				} ),
+			} ) ) )
 			// With PostCSS Preset Env + CSS NANO
-			.pipe( postcss( postcssPlugins ) )
+			.pipe( errors.each( () => postcss( postcssPlugins ) ) )
 			// Save to ../css
-			.pipe( rename( output => {
-				output.dirname = output.dirname.replace(
-					path.join( 'src', 'scss' ),
-					path.join( 'dist', 'css' ),
-				).replace( 'scss', 'css' );
-			} ) )
+			.pipe( rename( renameStyles ) )
+			.pipe( hashFilenames() )
 			.pipe( log( 'Compiled %s' ) )
-			// Save sourcemaps to same folder
+			// Save sourcemaps to same folder (or inline)
 			.pipe( mtime() )
-			.pipe( dest( paths.styles.output, { sourcemaps: '.' } ) );
+			.pipe( dest( paths.styles.output, { sourcemaps: gulpSourcemaps } ) )
+			.pipe( recordBuilds() )
+			.pipe( updateManifest() )
+			// Exceeding a budget fails the task too
+			.pipe( reportSizes() )
+			.on( 'error', errors.catch )
+			// Clear the error overlay, or fail if there were errors
+			.pipe( errors.check() );
+	}
+
+	function compileStyles() {
+		return buildStyles( paths.styles.input );
 	}
 
 	// =========================
 	// ! Script Handling
 	// =========================
 
-	function validateScripts() {
-		// Check all watchable scripts
-		return src( paths.scripts.lint, { ...gulpSrc, ...sinceLastTask( validateScripts ) } )
+	function lintScriptFiles( input, since, enabled ) {
+		return src( input, { ...gulpSrc, ...since } )
 			// Print the filename for reference
 			.pipe( log( 'Linting %s' ) )
 			// Lint and display issues
-			.pipe( eslint() )
-			.pipe( eslint.formatEach() );
+			.pipe( eslint( eslintOptions ) )
+			.pipe( eslint.formatEach() )
+			// Fail/report if enabled
+			.pipe( lintResults( 'eslint', { ...lintOptions, enabled } ) );
 	}
 
-	function compileScripts() {
-		return src( paths.scripts.input, { ...gulpSrc, sourcemaps: true } )
-			// Exclude those that haven't been modified (including dependencies)
-			.pipe( checkDependencies( compileScripts ) )
-			// Print the filename for reference
-			.pipe( log( 'Bundling %s' ) )
-			// Transpile and Bundle
-			.pipe( rollupEach(
+	function validateScripts() {
+		// Check all files if strict, unless watching
+		const isStrict = !! strict && ! isWatching();
+
+		// Check all lintable scripts
+		return lintScriptFiles( paths.scripts.lint, isStrict ? {} : sinceLastTask( validateScripts ), isStrict );
+	}
+
+	function lintScripts() {
+		return lintScriptFiles( paths.scripts.lint, {}, true );
+	}
+
+	function checkTypes( cb ) {
+		if ( ! fs.existsSync( tsconfig ) ) {
+			console.warn( 'Skipping type check, %s not found', tsconfig );
+			return cb();
+		}
+
+		// Report errors, only failing if strict
+		typeCheck( { project: tsconfig } ).on( 'exit', code => {
+			cb( code && strict ? new Error( 'TypeScript found type errors' ) : null );
+		} );
+	}
+
+	// Suppress empty chunk and circular dependency warnings
+	function onRollupWarning( warning, rollupWarn ) {
+		if ( warning.code !== 'EMPTY_BUNDLE' && warning.code !== 'CIRCULAR_DEPENDENCY' ) {
+			rollupWarn( warning );
+		}
+	}
+
+	// Bundle each entry on its own, or if enabled, each folder of entries
+	// together as ES modules, with the code they share in separate chunks;
+	// the variant is modern or legacy for differential builds
+	function bundleScripts( variant ) {
+		const plugins = getRollupPlugins( variant );
+
+		if ( chunks && variant !== 'legacy' ) {
+			return rollupChunks(
 				{
-					plugins: rollupPlugins,
-					// Suppress empty chunk and circular dependency warnings
-					onwarn( warning, rollupWarn ) {
-						if ( warning.code !== 'EMPTY_BUNDLE' && warning.code !== 'CIRCULAR_DEPENDENCY' ) {
-							rollupWarn( warning );
-						}
-					},
+					// Externals are referenced as globals by modules
+					plugins: [ externalsPlugin, ...plugins ],
+					onwarn: onRollupWarning,
+					// The same cache as each entry's, between runs if caching
+					isCache: buildCache ? buildCache.fileStore( 'rollup', configHash ) : true,
+					cacheKey: variant,
 				},
 				{
-					format: 'iife',
+					format: 'es',
+					// Already .min, so the imports still match once renamed
+					entryFileNames: '[name].min.js',
+					chunkFileNames: 'chunks/[name]-[hash].min.js',
+				},
+				{
+					rollup: rollup.rollup,
+				}
+			);
+		}
+
+		// Modern builds are ES modules, which can't use output.globals
+		if ( variant === 'modern' ) {
+			return rollupEach(
+				{
+					plugins: [ externalsPlugin, ...plugins ],
+					onwarn: onRollupWarning,
+					isCache: buildCache ? buildCache.fileStore( 'rollup', configHash ) : true,
+					cacheKey: variant,
+				},
+				{
+					format: 'es',
+					inlineDynamicImports: true,
 				},
 				rollup
-			) )
+			);
+		}
+
+		return rollupEach(
+			{
+				plugins,
+				onwarn: onRollupWarning,
+				external,
+				// Reuse unchanged modules, between runs if caching
+				isCache: buildCache ? buildCache.fileStore( 'rollup', configHash ) : true,
+				cacheKey: variant,
+			},
+			{
+				format: 'iife',
+				globals,
+				inlineDynamicImports: true,
+			},
+			rollup
+		);
+	}
+
+	// Get the shared chunks folder for an entry's output
+	function getChunksFolder( filepath ) {
+		return path.join( path.dirname( getOutputPath( filepath, renameScripts, '.js' ) ), 'chunks' );
+	}
+
+	// Remove the files in the chunks folder, except those to keep
+	function removeChunks( folder, keep = new Set() ) {
+		if ( ! fs.existsSync( folder ) ) {
+			return;
+		}
+
+		for ( const filename of fs.readdirSync( folder ) ) {
+			const filepath = path.join( folder, filename );
+
+			if ( ! keep.has( filepath ) && ! keep.has( filepath.replace( /\.map$/, '' ) ) ) {
+				fs.unlinkSync( filepath );
+				console.info( 'Removed %s', normalizePath( path.relative( process.cwd(), filepath ) ) );
+			}
+		}
+	}
+
+	// Remove the chunks from previous builds, that the new ones replace
+	function removeStaleChunks() {
+		const folders = new Set();
+		const written = new Set();
+
+		return through.obj( function( file, encoding, callback ) {
+			if ( file.rollup && file.rollup.isEntry ) {
+				folders.add( path.join( path.dirname( file.path ), 'chunks' ) );
+			} else if ( file.rollup ) {
+				written.add( file.path );
+			}
+
+			callback( null, file );
+		}, function( callback ) {
+			folders.forEach( folder => removeChunks( folder, written ) );
+			callback();
+		} );
+	}
+
+	function buildScripts( input ) {
+		// Rebuild the whole folder when bundling chunks, since the entries share them
+		if ( chunks && input !== paths.scripts.input ) {
+			const folders = new Set( input.map( entry => path.dirname( entry ) ) );
+
+			input = [
+				...[ ...folders ].map( folder => `${ normalizePath( folder ) }/*.{js,jsx,ts,tsx}` ),
+				...paths.scripts.input.filter( glob => glob.startsWith( '!' ) ),
+			];
+		}
+
+		const errors = buildErrors.track( 'scripts' );
+
+		// Both modern and legacy builds if differential
+		const stream = legacy ? merge( buildScriptVariant( input, errors, 'modern' ), buildScriptVariant( input, errors, 'legacy' ) ) : buildScriptVariant( input, errors );
+
+		return stream
+			// In one table for both builds; exceeding a budget fails the task too
+			.pipe( reportSizes() )
+			.on( 'error', errors.catch )
+			// Clear the error overlay, or fail if there were errors
+			.pipe( errors.check() );
+	}
+
+	function buildScriptVariant( input, errors, variant ) {
+		const isChunked = chunks && variant !== 'legacy';
+		// Chunked entries are bundled by folder, sharing their chunks
+		const groupOptions = isChunked ? { groupBy: file => path.dirname( file.path ) } : {};
+
+		return src( input, { ...gulpSrc, sourcemaps: true } )
+			// Unless differential, remove any legacy scripts left from when it was
+			.pipe( legacy ? through.obj() : removeLegacyOutputs() )
+			// Skip unchanged entries (or folders, if chunked)
+			.pipe( skipUnchanged( variant, groupOptions ) )
+			// Print the filename for reference
+			.pipe( log( 'Bundling %s' ) )
+			// Transpile and Bundle each entry (or folder, if chunked) apart, so the others still build if one fails
+			.pipe( errors.each( () => bundleScripts( variant ), groupOptions ) )
+			.pipe( logExternals() )
 			// Save to ../dist if in /src
-			.pipe( rename( output => {
-				output.dirname = output.dirname.replace(
-					path.join( 'src', 'js' ),
-					path.join( 'dist', 'js' ),
-				).replace(
-					path.join( 'js', 'src' ),
-					path.join( 'js', 'dist' ),
-				);
-				output.basename = output.basename + '.min';
-			} ) )
+			.pipe( rename( variant === 'legacy' ? renameLegacyScripts : renameScripts ) )
+			.pipe( hashFilenames() )
+			// Generate the .asset.php files if enabled
+			.pipe( assetPhp ? wpAssetPhp() : through.obj() )
 			.pipe( log( 'Bundled %s', 'green' ) )
 			.pipe( mtime() )
-			.pipe( dest( paths.scripts.output, { sourcemaps: '.' } ) );
+			.pipe( dest( paths.scripts.output, { sourcemaps: gulpSourcemaps } ) )
+			.pipe( isChunked ? removeStaleChunks() : through.obj() )
+			// Map the entries to their modern/legacy scripts for templates
+			.pipe( variant ? scriptModules.record( variant === 'modern' ? 'module' : 'nomodule' ) : through.obj() )
+			.pipe( recordBuilds( variant ) )
+			.pipe( updateManifest() );
+	}
+
+	function compileScripts() {
+		return buildScripts( paths.scripts.input );
+	}
+
+	// =========================
+	// ! Icon Handling
+	// =========================
+
+	function buildIcons( input ) {
+		const errors = buildErrors.track( 'icons' );
+
+		return src( input, { ...gulpSrc } )
+			// Combine each folder into a sprite + maps
+			.pipe( errors.each( () => svgSprite( {
+				prefix: iconPrefix,
+			} ), { groupBy: file => path.dirname( file.path ) } ) )
+			// Save to ../dist if in /src
+			.pipe( rename( renameIcons ) )
+			.pipe( log( 'Built %s' ) )
+			.pipe( dest( paths.icons.output ) )
+			.pipe( errors.check() );
+	}
+
+	function compileIcons() {
+		return buildIcons( paths.icons.input );
+	}
+
+	// =========================
+	// ! Image Handling
+	// =========================
+
+	function compileImages() {
+		const errors = buildErrors.track( 'images' );
+
+		// Images are binary, so skip the default utf-8 encoding
+		return src( paths.images.input, { ...gulpSrc, encoding: false, ...sinceLastTask( compileImages ) } )
+			.pipe( skipUnchanged() )
+			// Print the filename for reference
+			.pipe( log( 'Optimizing %s' ) )
+			// Optimize and generate any modern formats
+			.pipe( errors.each( () => optimizeImages( {
+				...imageOptions,
+				formats: imageFormats,
+			} ) ) )
+			// Save to ../dist
+			.pipe( rename( renameImages ) )
+			.pipe( log( 'Optimized %s' ) )
+			.pipe( dest( paths.images.output ) )
+			.pipe( recordBuilds() )
+			.pipe( errors.check() );
 	}
 
 	// =========================
@@ -328,109 +1131,202 @@ function defaultBoilerplate( config = {} ) {
 			browserSync.init( {
 				startPath: syncStartPath,
 				ghostMode: false,
-				server: {
-					baseDir: `./${ syncBaseDir }`,
+				// Proxy a local server (e.g. for WordPress), or serve the static files
+				...syncProxy ? {
+					proxy: syncProxy,
+				} : {
+					server: {
+						baseDir: `./${ syncBaseDir }`,
+					},
 				},
 				files: syncWatchFiles,
-				port: 5759,
+				// The next free port is used if it's taken (e.g. by another project)
+				port: syncPort,
 				https,
+				// Show build errors over the page
+				plugins: [ buildErrors.plugin ],
 			} );
 		}
 	}
 
+	// =========================
+	// ! Config
+	// =========================
+
+	// Print the resolved config, with the defaults and paths
+	function printConfig( cb ) {
+		const filename = findConfigFile();
+		console.info( 'Config file: %s', filename ? path.relative( process.cwd(), filename ) : 'none' );
+		console.info( util.inspect( { ...config, syncWatchFiles }, { depth: 3, colors: process.stdout.isTTY } ) );
+
+		cb();
+	}
+
 	// =========================
 	// ! Watchers
 	// =========================
 
 	function watchStyles() {
 		sinceWatching = sinceWatching || Date.now();
+		indexDependencies( paths.styles.input, getDependencies );
+
+		const watcher = watch( paths.styles.watch, watchOptions );
+		onChanges( watcher, { ...watchOptions, events: [ ...watchOptions.events, 'unlink' ] }, onSourceChanges( 'styles', lintStyleFiles, buildStyles ) );
 
-		return watch( paths.styles.watch, watchOptions, compileStyles );
+		return watcher;
 	}
 
 	function watchScripts() {
 		sinceWatching = sinceWatching || Date.now();
+		indexDependencies( paths.scripts.input, getDependencies );
+
+		const watcher = watch( paths.scripts.watch, watchOptions );
+		onChanges( watcher, { ...watchOptions, events: [ ...watchOptions.events, 'unlink' ] }, onSourceChanges( 'scripts', lintScriptFiles, buildScripts ) );
+
+		// Type check alongside (rather than before) builds, so errors don't block them
+		if ( typeCheckConfig && fs.existsSync( tsconfig ) ) {
+			const checker = typeCheck( { project: tsconfig, watch: true } );
+			watcher.on( 'close', () => checker.kill() );
+		}
+
+		return watcher;
+	}
+
+	function watchIcons() {
+		const watcher = watch( paths.icons.watch, watchOptions );
+
+		// Rebuild only the sprites for the affected folders, including removals
+		onChanges( watcher, { ...watchOptions, events: [ 'add', 'change', 'unlink' ] }, changes => {
+			const folders = new Set();
+			for ( const filepath of changes.keys() ) {
+				const folder = path.dirname( filepath );
+
+				// Remove the sprite if it has no icons left
+				if ( fs.existsSync( folder ) && fs.readdirSync( folder ).some( file => path.extname( file ) === '.svg' ) ) {
+					folders.add( normalizePath( folder ) );
+				} else {
+					removeOutputs( 'icons', filepath );
+				}
+			}
+
+			if ( folders.size ) {
+				return buildIcons( [ ...folders ].map( folder => `${ folder }/*.svg` ) );
+			}
+		} );
+
+		return watcher;
+	}
+
+	function watchImages() {
+		sinceWatching = sinceWatching || Date.now();
+
+		const watcher = watch( paths.images.watch, watchOptions, compileImages );
+		onChanges( watcher, { ...watchOptions, events: [ 'unlink' ] }, removed => {
+			for ( const filepath of removed.keys() ) {
+				removeOutputs( 'images', filepath );
+			}
+		} );
 
-		return watch( paths.scripts.watch, watchOptions, series( validateScripts, compileScripts ) );
+		return watcher;
 	}
 
 	return {
+		validateStyles,
 		compileStyles,
 		validateScripts,
 		compileScripts,
+		checkTypes,
+		compileIcons,
+		compileImages,
 		watchStyles,
 		watchScripts,
+		watchIcons,
+		watchImages,
 		startSync,
-		compileAll: parallel( compileStyles, series( validateScripts, compileScripts ) ),
-		watchAll: parallel( startSync, watchStyles, watchScripts ),
+		printConfig,
+		lint: parallel( lintStyles, lintScripts ),
+		clean: parallel( cleanStyles, cleanScripts, cleanIcons, cleanImages ),
+		// Icons first, since styles may use their maps
+		compileAll: parallel( series( compileIcons, validateStyles, compileStyles ), series( validateScripts, compileScripts ), compileImages, ...( typeCheckConfig ? [ checkTypes ] : [] ) ),
+		watchAll: parallel( startSync, watchStyles, watchScripts, watchIcons, watchImages ),
 	};
 }
 
-function wordpressBoilerplate( config = {} ) {
+// The config of the WordPress templates; the layout is that of the themes/plugins by default
+function wordpressConfig( config = {}, layout = 'wordpress' ) {
+	// A single theme, or lists of themes and plugins
+	const { themeId, themes = themeId ? [ themeId ] : [], plugins = [] } = config;
+	const packages = wordpressPackages.resolvePackages( { themes, plugins, layout } );
+	const isListed = !! ( config.themes || config.plugins ) && packages.length > 0;
+	const isPathsGiven = !! config.paths;
+
 	config = parseDefaults( config, {
-		subdirs: '{mu-plugins,themes}',
+		// Only the listed themes/plugins, otherwise all of them
+		subdirs: isListed ? wordpressPackages.getSubdirs( packages ) : '{mu-plugins,themes}',
 	} );
 
-	const { themeId } = config;
-
-	return defaultBoilerplate( {
-		syncStartPath: 'mockup',
-		syncBaseDir: `themes/${ themeId }`,
-		syncWatchFiles: [
-			// Only watch theme and mockup assets
-			`./themes/${ themeId }/assets/img/**`,
-			`./themes/${ themeId }/assets/css/theme.css`,
-			`./themes/${ themeId }/assets/js/dist/theme.min.js`,
-			`./themes/${ themeId }/mockup/*.html`,
-			`./themes/${ themeId }/mockup/*.css`,
-			`./themes/${ themeId }/mockup/*.js`,
-		],
-		...config,
-	} );
-};
+	// Only build the sources of each one's layout, unless given other paths
+	if ( isListed && ! isPathsGiven ) {
+		config.paths = wordpressPackages.getPaths( packages, config.paths );
+	}
 
-function newWordpressBoilerplate( config = {} ) {
-	config = parseDefaults( config, {
-		subdirs: '{mu-plugins,themes}',
-	} );
+	// Mockups are served from the (first) theme
+	const [ theme ] = packages.filter( ( { type } ) => type === 'theme' );
 
-	const { themeId } = config;
-
-	return wordpressBoilerplate( {
-		syncWatchFiles: [
-			// Only watch theme and mockup assets
-			`./themes/${ themeId }/assets/img/**`,
-			`./themes/${ themeId }/assets/dist/css/theme.css`,
-			`./themes/${ themeId }/assets/dist/js/theme.min.js`,
-			`./themes/${ themeId }/mockup/*.html`,
-			`./themes/${ themeId }/mockup/*.css`,
-			`./themes/${ themeId }/mockup/*.js`,
-		],
+	return {
+		assetPhp: true,
+		externals: createExternals.wordpressExternals,
+		wordpress: true,
+		packages: isListed ? packages : undefined,
+		// Proxied sites start from the home page
+		syncStartPath: config.syncProxy ? undefined : 'mockup',
+		syncBaseDir: theme ? theme.dir : '',
+		// Only watch their assets and mockups
+		syncWatchFiles: wordpressPackages.getSyncWatchFiles( packages, { proxy: !! config.syncProxy } ),
 		...config,
-	} );
-};
+	};
+}
 
 // =========================
 // ! API
 // =========================
 
-module.exports = function( template, config ) {
+// Resolve the full config; the project's config file (if any) merged with the
+// given config, then the template's config and the defaults
+function resolveConfig( template, config ) {
 	if ( typeof template === 'object' ) {
 		config = template;
-		template = 'default';
+		template = undefined;
 	}
 
-	let boilerplate = defaultBoilerplate;
+	// Merged with the project's config file (if any), the arguments taking priority
+	config = validateConfig( {
+		...loadConfig().config,
+		...config,
+		...( template ? { template } : {} ),
+	} );
+
+	template = config.template || 'default';
 
 	switch ( template ) {
 		case 'wordpress':
-			boilerplate = wordpressBoilerplate;
+			config = wordpressConfig( config );
 			break;
 
 		case 'wordpress-new':
-			boilerplate = newWordpressBoilerplate;
+			config = wordpressConfig( config, 'wordpress-new' );
 			break;
 	}
 
-	return boilerplate( config );
+	return parseDefaults( config, getDefaults() );
+}
+
+module.exports = function( template, config ) {
+	return defaultBoilerplate( resolveConfig( template, config ) );
 };
+
+module.exports.wordpressExternals = createExternals.wordpressExternals;
+module.exports.eslintConfig = createEslintConfig;
+module.exports.stylelintConfig = stylelint.defaultConfig;
+module.exports.getGlobs = getGlobs;
+module.exports.resolveConfig = resolveConfig;
@@ -0,0 +1,9 @@
+const { resolveConfig } = require( './index' );
+const inspect = require( './lib/inspect-dependencies' );
+
+inspect( process.argv.slice( 2 ), resolveConfig )
+	.then( code => process.exitCode = code )
+	.catch( error => {
+		console.error( error.message );
+		process.exitCode = 1;
+	} );
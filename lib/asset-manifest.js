@@ -0,0 +1,156 @@
+// Add content hashes to output filenames, and keep a manifest.json
+// in each output folder mapping the original names to the hashed ones
+
+const Transform = require( 'stream' ).Transform;
+const crypto = require( 'crypto' );
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+const MANIFEST = 'manifest.json';
+
+function isSourceMap( file ) {
+	return file.extname === '.map';
+}
+
+function readManifest( filename ) {
+	try {
+		return JSON.parse( fs.readFileSync( filename, { encoding: 'utf-8' } ) );
+	} catch {
+		return {};
+	}
+}
+
+function removeFile( filename ) {
+	if ( fs.existsSync( filename ) ) {
+		fs.unlinkSync( filename );
+	}
+}
+
+// Insert the hash before the .min.js/extension, so the file is still matched as such
+function hashFilename( basename, hash ) {
+	const suffix = basename.endsWith( '.min.js' ) ? '.min.js' : path.extname( basename );
+
+	return `${ basename.slice( 0, -suffix.length ) }.${ hash }${ suffix }`;
+}
+
+function hash( options = {} ) {
+	const { length = 8 } = options;
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			// Shared chunks are already hashed, and imported by their name
+			if ( file.isNull() || isSourceMap( file ) || ( file.rollup && file.rollup.isEntry === false ) ) {
+				return cb( null, file );
+			}
+
+			const contentHash = crypto.createHash( 'md5' ).update( file.contents ).digest( 'hex' ).slice( 0, length );
+
+			// Remember the original name for the manifest
+			file.manifestName = file.basename;
+			file.basename = hashFilename( file.basename, contentHash );
+
+			cb( null, file );
+		}
+	}( {
+		objectMode: true,
+	} );
+}
+
+// Must be used after dest(), so the paths are those written
+function manifest() {
+	// Hashed files grouped by their folder
+	const folders = new Map();
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.manifestName && ! isSourceMap( file ) ) {
+				const folder = path.dirname( file.path );
+				if ( ! folders.has( folder ) ) {
+					folders.set( folder, {} );
+				}
+
+				folders.get( folder )[ file.manifestName ] = file.basename;
+			}
+
+			cb( null, file );
+		}
+
+		_flush( cb ) {
+			try {
+				for ( const [ folder, entries ] of folders ) {
+					const filename = path.join( folder, MANIFEST );
+
+					// Update the existing manifest, so skipped entries are kept
+					const data = readManifest( filename );
+
+					for ( const [ name, hashedName ] of Object.entries( entries ) ) {
+						const previous = data[ name ];
+
+						// Remove the previous output + sourcemap
+						if ( previous && previous !== hashedName ) {
+							removeFile( path.join( folder, previous ) );
+							removeFile( path.join( folder, `${ previous }.map` ) );
+						}
+
+						data[ name ] = hashedName;
+					}
+
+					// Sort by name for consistent output
+					const sorted = Object.fromEntries( Object.entries( data ).sort( ( [ a ], [ b ] ) => a.localeCompare( b ) ) );
+
+					fs.writeFileSync( filename, JSON.stringify( sorted, null, '\t' ) + '\n' );
+				}
+			} catch ( error ) {
+				return cb( error );
+			}
+
+			cb();
+		}
+	}( {
+		objectMode: true,
+	} );
+}
+
+// Remove the hashed versions of a file from its folder and manifest,
+// returning the paths of those removed
+function remove( filename ) {
+	const folder = path.dirname( filename );
+	const manifestFile = path.join( folder, MANIFEST );
+
+	if ( ! fs.existsSync( manifestFile ) ) {
+		return [];
+	}
+
+	const data = readManifest( manifestFile );
+	const hashedName = data[ path.basename( filename ) ];
+	if ( ! hashedName ) {
+		return [];
+	}
+
+	const removed = [];
+	for ( const file of [ hashedName, `${ hashedName }.map` ] ) {
+		if ( fs.existsSync( path.join( folder, file ) ) ) {
+			fs.unlinkSync( path.join( folder, file ) );
+			removed.push( path.join( folder, file ) );
+		}
+	}
+
+	delete data[ path.basename( filename ) ];
+
+	// Remove the manifest too if it's now empty
+	if ( Object.keys( data ).length ) {
+		fs.writeFileSync( manifestFile, JSON.stringify( data, null, '\t' ) + '\n' );
+	} else {
+		fs.unlinkSync( manifestFile );
+	}
+
+	return removed;
+}
+
+module.exports = {
+	hash,
+	manifest,
+	remove,
+	readManifest,
+	MANIFEST,
+};
@@ -0,0 +1,237 @@
+// Persist caches between runs (Rollup modules, dependency scans and what each
+// entry was built from), so builds can skip entries that haven't changed
+
+const Transform = require( 'stream' ).Transform;
+const fs = require( 'fs' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+
+const DEFAULT_DIRECTORY = 'node_modules/.cache/gulp-boilerplate';
+
+function hash( value ) {
+	return crypto.createHash( 'md5' ).update( value ).digest( 'hex' );
+}
+
+// Hash any value, including functions/regexes (by their source) and circular references
+function hashValue( value ) {
+	const seen = new WeakSet();
+
+	return hash( JSON.stringify( value, ( key, item ) => {
+		if ( typeof item === 'function' || item instanceof RegExp ) {
+			return item.toString();
+		}
+
+		if ( item && typeof item === 'object' ) {
+			if ( seen.has( item ) ) {
+				return '[Circular]';
+			}
+
+			seen.add( item );
+		}
+
+		return item;
+	} ) ?? '' );
+}
+
+function writeJson( filename, data ) {
+	try {
+		fs.mkdirSync( path.dirname( filename ), { recursive: true } );
+		fs.writeFileSync( filename, JSON.stringify( data ) );
+	} catch ( error ) {
+		console.warn( 'Unable to save cache %s: %s', filename, error.message );
+	}
+}
+
+function readJson( filename ) {
+	try {
+		return JSON.parse( fs.readFileSync( filename, { encoding: 'utf-8' } ) );
+	} catch {
+		return undefined;
+	}
+}
+
+// A key/value store saved as a single JSON file, discarded if the version differs;
+// saved shortly after changes, or on exit
+function createStore( filename, version = '' ) {
+	const saved = readJson( filename );
+	const data = saved && saved.version === version ? saved.data : {};
+
+	let timeout;
+	function save() {
+		clearTimeout( timeout );
+		timeout = undefined;
+		writeJson( filename, { version, data } );
+	}
+
+	function scheduleSave() {
+		if ( ! timeout ) {
+			timeout = setTimeout( save, 1000 ).unref();
+		}
+	}
+
+	process.on( 'exit', () => timeout && save() );
+
+	return {
+		get: key => data[ key ],
+		set( key, value ) {
+			data[ key ] = value;
+			scheduleSave();
+		},
+		delete( key ) {
+			delete data[ key ];
+			scheduleSave();
+		},
+	};
+}
+
+// A key/value store with a JSON file per key, for large values (e.g. Rollup's cache)
+function createFileStore( directory, version = '' ) {
+	const getFilename = key => path.join( directory, `${ hash( key ) }.json` );
+
+	return {
+		get( key ) {
+			const saved = readJson( getFilename( key ) );
+			return saved && saved.version === version ? saved.data : undefined;
+		},
+		set( key, value ) {
+			writeJson( getFilename( key ), { version, data: value } );
+		},
+		delete( key ) {
+			fs.rmSync( getFilename( key ), { force: true } );
+		},
+	};
+}
+
+function getMtimes( files ) {
+	const mtimes = {};
+
+	for ( const file of files ) {
+		try {
+			mtimes[ file ] = fs.statSync( file ).mtimeMs;
+		} catch {
+			mtimes[ file ] = false;
+		}
+	}
+
+	return mtimes;
+}
+
+// Options are the directory, the hash of everything that affects the outputs (configHash)
+// and getDependencies() for finding each entry's inputs
+module.exports = function( options = {} ) {
+	const { directory = DEFAULT_DIRECTORY, configHash = '', getDependencies = () => [] } = options;
+
+	const cacheDir = path.resolve( directory );
+
+	// What each entry was built from and to
+	const builds = createStore( path.join( cacheDir, 'builds.json' ) );
+
+	function getKey( entry, variant ) {
+		return variant ? `${ entry }:${ variant }` : entry;
+	}
+
+	// Check the entry has the same (unchanged) inputs, and its outputs still exist
+	function isFresh( entry, inputs ) {
+		const build = builds.get( entry );
+		if ( ! build || build.configHash !== configHash || inputs.some( input => ! ( input in build.inputs ) ) ) {
+			return false;
+		}
+
+		const mtimes = getMtimes( Object.keys( build.inputs ) );
+		if ( Object.keys( build.inputs ).some( file => build.inputs[ file ] !== mtimes[ file ] ) ) {
+			return false;
+		}
+
+		return build.outputs.every( output => fs.existsSync( output ) );
+	}
+
+	return {
+		// Named stores for other caches, cleared when their version changes
+		store: ( name, version ) => createStore( path.join( cacheDir, `${ name }.json` ), version ),
+		fileStore: ( name, version ) => createFileStore( path.join( cacheDir, name ), version ),
+
+		// Skip entries with unchanged inputs/outputs, noting the inputs of the rest;
+		// the variant distinguishes multiple builds of the same entry (e.g. legacy),
+		// and entries built together (by groupBy) are only skipped if all of them are
+		skipUnchanged( variant, options = {} ) {
+			const { groupBy } = options;
+			const groups = new Map();
+			let skipped = 0;
+
+			// Noting the inputs either way, since a group is rebuilt as a whole
+			function isUnchanged( file ) {
+				const inputs = [ file.path, ...getDependencies( file.path ) ];
+				file.buildInputs = getMtimes( inputs );
+
+				return isFresh( getKey( file.path, variant ), inputs );
+			}
+
+			return new class extends Transform {
+				_transform( file, encoding, cb ) {
+					if ( groupBy ) {
+						const group = groupBy( file );
+						if ( ! groups.has( group ) ) {
+							groups.set( group, [] );
+						}
+
+						groups.get( group ).push( file );
+
+						return cb();
+					}
+
+					if ( isUnchanged( file ) ) {
+						skipped++;
+						return cb();
+					}
+
+					cb( null, file );
+				}
+
+				_flush( cb ) {
+					for ( const files of groups.values() ) {
+						if ( files.map( isUnchanged ).every( Boolean ) ) {
+							skipped += files.length;
+						} else {
+							files.forEach( file => this.push( file ) );
+						}
+					}
+
+					if ( skipped ) {
+						console.info( 'Skipped %d unchanged %s', skipped, skipped === 1 ? 'entry' : 'entries' );
+					}
+
+					cb();
+				}
+			}( {
+				objectMode: true,
+			} );
+		},
+
+		// Record the outputs of each entry (after they're written), along with its inputs
+		record( variant ) {
+			const recorded = new Set();
+
+			return new class extends Transform {
+				_transform( file, encoding, cb ) {
+					const entry = getKey( file.history[ 0 ], variant );
+
+					if ( file.buildInputs ) {
+						// Replace the previous build, then add each output
+						const outputs = recorded.has( entry ) ? builds.get( entry ).outputs : [];
+						recorded.add( entry );
+
+						builds.set( entry, { configHash, inputs: file.buildInputs, outputs: [ ...outputs, file.path ] } );
+					}
+
+					cb( null, file );
+				}
+			}( {
+				objectMode: true,
+			} );
+		},
+	};
+};
+
+module.exports.hashValue = hashValue;
+module.exports.DEFAULT_DIRECTORY = DEFAULT_DIRECTORY;
+module.exports.createStore = createStore;
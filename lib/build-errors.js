@@ -0,0 +1,259 @@
+// Catch compile errors consistently, logging them with their location and code frame,
+// and showing them in the browser (through Browser Sync) until their entry next builds
+
+const Transform = require( 'stream' ).Transform;
+const path = require( 'path' );
+const { stripVTControlCharacters } = require( 'util' );
+
+const EVENT = 'gulp-boilerplate:errors';
+
+// Get the location, message and code frame of Sass, PostCSS, Rollup and Babel errors
+function formatError( error ) {
+	const loc = error.loc || {};
+	const filename = loc.file || error.id || error.fileName || error.file;
+	const line = loc.line ?? error.lineNumber ?? error.line;
+	// Rollup's columns start from 0
+	const column = loc.column === undefined ? error.column : loc.column + 1;
+
+	let location = filename ? path.relative( process.cwd(), filename ).split( path.sep ).join( '/' ) : '';
+	if ( location && line ) {
+		location += column === undefined ? `:${ line }` : `:${ line }:${ column }`;
+	}
+
+	const message = stripVTControlCharacters( error.message ).trim();
+	const frame = stripVTControlCharacters( error.frame || '' ).replace( /^\n+|\s+$/g, '' );
+
+	return {
+		plugin: error.plugin,
+		location,
+		message,
+		// Babel includes it in the message
+		frame: message.includes( frame ) ? '' : frame,
+	};
+}
+
+function printError( { plugin, location, message, frame } ) {
+	const title = [ 'Error', plugin && `in plugin "${ plugin }"`, location && `at ${ location }` ].filter( Boolean ).join( ' ' );
+
+	console.error( [ `${ title }:`, message, frame ].filter( Boolean ).join( '\n' ) );
+}
+
+// Runs in the browser, showing the errors sent over Browser Sync's socket
+function overlayClient( event ) {
+	const overlay = document.createElement( 'div' );
+	overlay.id = 'gulp-boilerplate-errors';
+	overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2rem;background:rgba(24,24,24,0.94);color:#e8e8e8;font:14px/1.5 monospace;cursor:pointer';
+	overlay.title = 'Click to hide';
+	overlay.addEventListener( 'click', () => overlay.remove() );
+
+	window.___browserSync___.socket.on( event, errors => {
+		overlay.replaceChildren( ...errors.map( error => {
+			const item = document.createElement( 'div' );
+			item.style.cssText = 'margin:0 0 2rem';
+
+			const title = document.createElement( 'div' );
+			title.style.cssText = 'color:#ff6b6b;font-weight:bold';
+			title.textContent = error.location || 'Build error';
+
+			const details = document.createElement( 'pre' );
+			details.style.cssText = 'margin:0.5rem 0 0;white-space:pre-wrap';
+			details.textContent = [ error.message, error.frame ].filter( Boolean ).join( '\n\n' );
+
+			item.append( title, details );
+
+			return item;
+		} ) );
+
+		if ( errors.length ) {
+			document.body.append( overlay );
+		} else {
+			overlay.remove();
+		}
+	} );
+}
+
+function isSameError( a, b ) {
+	return a.location === b.location && a.message === b.message;
+}
+
+// Options are isWatching(), since errors only fail builds when not watching,
+// and onDone() which is passed each build's key, files built and errors
+module.exports = function( options = {} ) {
+	const { isWatching = () => false, onDone } = options;
+
+	// The errors of each build (e.g. styles), by the entry (or the build itself) that failed
+	const errors = new Map();
+	let io;
+
+	function update() {
+		if ( io ) {
+			const all = [ ...errors.values() ].flatMap( entries => [ ...entries.values() ].flat() );
+
+			// Once each, since entries may share a failing partial
+			io.sockets.emit( EVENT, all.filter( ( error, index ) => all.findIndex( other => isSameError( error, other ) ) === index ) );
+		}
+	}
+
+	return {
+		// Add to Browser Sync's plugins, to show the overlay
+		plugin: {
+			'plugin:name': 'Build Errors',
+			plugin( pluginOptions, bs ) {
+				// Send the current errors to new pages
+				bs.events.on( 'client:connected', () => {
+					io = bs.io;
+					update();
+				} );
+			},
+			hooks: {
+				'client:js': `(${ overlayClient })( ${ JSON.stringify( EVENT ) } );`,
+			},
+		},
+
+		// Track the errors of a build; each() runs a plugin on each entry, catching
+		// their errors so the others are still built, catch() listens for the errors
+		// of any other stream that may fail, ending it so watching continues, with
+		// check() last to clear the errors of the entries that now succeed from the
+		// overlay, or fail the build if not watching
+		track( key ) {
+			if ( ! errors.has( key ) ) {
+				errors.set( key, new Map() );
+			}
+
+			const stored = errors.get( key );
+			const caught = [];
+			const built = [];
+
+			// The entries built, with the errors of those that failed; the
+			// build itself is for errors that aren't an entry's
+			const entries = new Set( [ key ] );
+			const failed = new Map();
+
+			function add( error, entry = key ) {
+				const formatted = formatError( error );
+
+				// Once each, since variants of the build (e.g. legacy) share errors
+				if ( ! caught.some( other => isSameError( formatted, other ) ) ) {
+					printError( formatted );
+					caught.push( formatted );
+				}
+
+				const entryErrors = failed.get( entry ) || [];
+				if ( ! entryErrors.some( other => isSameError( formatted, other ) ) ) {
+					entryErrors.push( formatted );
+				}
+
+				failed.set( entry, entryErrors );
+				stored.set( entry, entryErrors );
+				update();
+			}
+
+			// Run a new instance of the plugin with the files, resolving once it's done
+			function run( stream, createPlugin, entry, files ) {
+				return new Promise( resolve => {
+					const plugin = createPlugin();
+					let done = false;
+
+					const finish = error => {
+						if ( done ) {
+							return;
+						}
+
+						done = true;
+						entries.add( entry );
+
+						if ( error ) {
+							add( error, entry );
+						}
+
+						resolve();
+					};
+
+					plugin.on( 'data', output => stream.push( output ) );
+					plugin.once( 'error', finish );
+					plugin.once( 'end', () => finish() );
+
+					files.forEach( file => plugin.write( file ) );
+					plugin.end();
+				} );
+			}
+
+			return {
+				// Run the plugin (e.g. () => sass()) for each file (by its source), or each
+				// group of files with groupBy() (e.g. folders bundled together)
+				each( createPlugin, eachOptions = {} ) {
+					const { groupBy } = eachOptions;
+					const groups = new Map();
+
+					return new class extends Transform {
+						_transform( file, encoding, cb ) {
+							if ( ! groupBy ) {
+								return run( this, createPlugin, file.history[ 0 ], [ file ] ).then( () => cb() );
+							}
+
+							const group = groupBy( file );
+							if ( ! groups.has( group ) ) {
+								groups.set( group, [] );
+							}
+
+							groups.get( group ).push( file );
+
+							cb();
+						}
+
+						_flush( cb ) {
+							// One group at a time, to keep the memory use down
+							[ ...groups ].reduce( ( previous, [ group, files ] ) => previous
+								.then( () => run( this, createPlugin, group, files ) ), Promise.resolve() )
+								.then( () => cb() );
+						}
+					}( {
+						objectMode: true,
+					} );
+				},
+
+				catch( error ) {
+					add( error );
+					this.emit( 'end' );
+				},
+
+				check() {
+					return new class extends Transform {
+						_transform( file, encoding, cb ) {
+							built.push( file );
+							cb( null, file );
+						}
+
+						_flush( cb ) {
+							if ( onDone ) {
+								onDone( key, { files: built, errors: caught } );
+							}
+
+							// Only those built, so others' errors stay until they're fixed
+							let changed = false;
+							for ( const entry of entries ) {
+								if ( ! failed.has( entry ) ) {
+									changed = stored.delete( entry ) || changed;
+								}
+							}
+
+							if ( changed ) {
+								update();
+							}
+
+							if ( caught.length && ! isWatching() ) {
+								return cb( new Error( `Building ${ key } failed with ${ caught.length } ${ caught.length === 1 ? 'error' : 'errors' }` ) );
+							}
+
+							cb();
+						}
+					}( {
+						objectMode: true,
+					} );
+				},
+			};
+		},
+	};
+};
+
+module.exports.formatError = formatError;
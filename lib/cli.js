@@ -0,0 +1,112 @@
+// Run the boilerplate's tasks from the command line, for projects without a gulpfile
+
+const gulp = require( 'gulp' );
+
+const usage = `Usage: gulp-boilerplate <command> [options]
+
+Commands:
+  build   Lint and compile everything
+  watch   Rebuild on changes, syncing the browser
+  lint    Lint every style and script
+  serve   Only sync the browser
+  clean   Remove everything that's been built
+  config  Print the resolved config
+
+Options:
+  --template <name>  The template, default, wordpress or wordpress-new
+  --subdirs <dirs>   Only build the subdirectories (a glob)
+  --theme-id <id>    The theme, for the WordPress templates
+  --mode <mode>      production (default) or development`;
+
+// The task each command runs
+const commands = {
+	build: 'compileAll',
+	watch: 'watchAll',
+	lint: 'lint',
+	serve: 'startSync',
+	clean: 'clean',
+	config: 'printConfig',
+};
+
+const options = [ 'template', 'subdirs', 'themeId', 'mode' ];
+
+// Parse the command and --options (in either --key value or --key=value form),
+// allowing kebab-case option names
+function parseArgs( argv ) {
+	const args = { _: [], options: {} };
+
+	for ( let i = 0; i < argv.length; i++ ) {
+		const arg = argv[ i ];
+
+		if ( ! arg.startsWith( '--' ) ) {
+			args._.push( arg );
+			continue;
+		}
+
+		let [ key, value ] = arg.slice( 2 ).split( '=' );
+		key = key.replace( /-([a-z])/g, ( match, letter ) => letter.toUpperCase() );
+
+		if ( key === 'help' ) {
+			args.help = true;
+			continue;
+		}
+
+		if ( ! options.includes( key ) ) {
+			throw new Error( `Unknown option --${ arg.slice( 2 ).split( '=' )[ 0 ] }` );
+		}
+
+		if ( value === undefined ) {
+			value = argv[ ++i ];
+		}
+
+		if ( value === undefined || value.startsWith( '--' ) ) {
+			throw new Error( `Missing the value for --${ arg.slice( 2 ) }` );
+		}
+
+		args.options[ key ] = value;
+	}
+
+	return args;
+}
+
+// Run the task, resolving once it's done
+function runTask( task ) {
+	return new Promise( ( resolve, reject ) => {
+		gulp.series( task )( error => error ? reject( error ) : resolve() );
+	} );
+}
+
+// Run the command, resolving to the exit code (1 if it failed)
+async function cli( argv ) {
+	let args;
+	try {
+		args = parseArgs( argv );
+	} catch ( error ) {
+		console.error( error.message );
+		console.warn( usage );
+		return 1;
+	}
+
+	const [ command ] = args._;
+	if ( args.help || ! commands[ command ] ) {
+		console.warn( usage );
+		return args.help ? 0 : 1;
+	}
+
+	const { template, ...config } = args.options;
+
+	// Errors are reported once the task fails
+	gulp.on( 'error', () => {} );
+
+	try {
+		const tasks = require( '../index' )( template, config );
+		await runTask( tasks[ commands[ command ] ] );
+	} catch ( error ) {
+		console.error( error.message );
+		return 1;
+	}
+
+	return 0;
+}
+
+module.exports = cli;
@@ -0,0 +1,180 @@
+// Load the project's config file, and check configs against the schema of
+// options, so typos and wrong types fail clearly rather than being ignored
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+const CONFIG_FILES = [ 'gulp-boilerplate.config.js', 'gulp-boilerplate.config.json' ];
+
+// The type(s) of each option, or the values allowed
+const schema = {
+	template: { values: [ 'default', 'wordpress', 'wordpress-new' ] },
+	mode: { values: [ 'production', 'development' ] },
+	subdirs: { type: 'string' },
+	themeId: { type: 'string' },
+	themes: { type: 'array' },
+	plugins: { type: 'array' },
+	paths: { type: 'object' },
+
+	// Outputs
+	hashing: { type: [ 'boolean', 'object' ], properties: { length: { type: 'number' } } },
+	assetPhp: { type: 'boolean' },
+	cache: { type: 'boolean' },
+	cacheDir: { type: 'string' },
+	sizeReport: { type: 'boolean' },
+	sizeBudgets: { type: 'object' },
+
+	// Linting
+	eslintConfig: { type: [ 'array', 'object' ] },
+	stylelintConfig: { type: 'object' },
+	strict: { type: [ 'boolean', 'object' ] },
+
+	// Styles
+	sassLoadPaths: { type: 'array' },
+	sassPkgImporter: { type: 'boolean' },
+	sassFunctions: { type: 'object' },
+	postcssPlugins: { type: 'array' },
+	postcssPresetEnvConfig: { type: 'object' },
+	cssnanoConfig: { type: 'object' },
+
+	// Scripts
+	externals: { type: 'object' },
+	typeCheck: { type: [ 'boolean', 'string' ] },
+	chunks: { type: 'boolean' },
+	legacy: { type: 'boolean' },
+	rollupPlugins: { type: 'array' },
+
+	// Icons and images
+	iconPrefix: { type: 'string' },
+	imageFormats: { type: 'array' },
+	imageOptions: { type: 'object' },
+
+	// Watching and syncing
+	watchOptions: { type: 'object' },
+	syncProxy: { type: [ 'string', 'object' ] },
+	syncPort: { type: 'number' },
+	syncStartPath: { type: 'string' },
+	syncBaseDir: { type: 'string' },
+	syncWatchFiles: { type: [ 'string', 'array' ] },
+	syncCertDir: { type: 'string' },
+	syncKeyFile: { type: 'string' },
+	syncCertFile: { type: 'string' },
+};
+
+function getType( value ) {
+	if ( Array.isArray( value ) ) {
+		return 'array';
+	}
+
+	return value === null ? 'null' : typeof value;
+}
+
+function describeType( type ) {
+	return /^[aeiou]/.test( type ) ? `an ${ type }` : `a ${ type }`;
+}
+
+// The number of edits between the strings, to suggest the closest option
+function getDistance( a, b ) {
+	let previous = Array.from( { length: b.length + 1 }, ( value, index ) => index );
+
+	for ( let i = 1; i <= a.length; i++ ) {
+		const current = [ i ];
+
+		for ( let j = 1; j <= b.length; j++ ) {
+			current[ j ] = Math.min( previous[ j ] + 1, current[ j - 1 ] + 1, previous[ j - 1 ] + ( a[ i - 1 ] === b[ j - 1 ] ? 0 : 1 ) );
+		}
+
+		previous = current;
+	}
+
+	return previous[ b.length ];
+}
+
+function getSuggestion( key, options = schema ) {
+	const [ closest ] = Object.keys( options )
+		.map( option => [ option, getDistance( key.toLowerCase(), option.toLowerCase() ) ] )
+		.sort( ( a, b ) => a[ 1 ] - b[ 1 ] );
+
+	// Only if it's close enough to be a typo
+	return closest && closest[ 1 ] <= Math.max( 2, Math.floor( key.length / 4 ) ) ? closest[ 0 ] : undefined;
+}
+
+// Get the problems with the config, as messages; options of
+// objects with known properties (e.g. hashing) are checked too
+function checkConfig( config, options = schema, prefix = '' ) {
+	const problems = [];
+
+	for ( const [ name, value ] of Object.entries( config ) ) {
+		const option = options[ name ];
+		const key = prefix + name;
+
+		if ( ! option ) {
+			const suggestion = getSuggestion( name, options );
+			problems.push( `Unknown option "${ key }"${ suggestion ? `, did you mean "${ prefix + suggestion }"?` : '' }` );
+			continue;
+		}
+
+		// Unset options use the defaults
+		if ( value === undefined ) {
+			continue;
+		}
+
+		if ( option.values && ! option.values.includes( value ) ) {
+			problems.push( `"${ key }" should be one of ${ option.values.map( allowed => `"${ allowed }"` ).join( ', ' ) }, not ${ JSON.stringify( value ) }` );
+		}
+
+		const types = [ option.type || [] ].flat();
+		if ( types.length && ! types.includes( getType( value ) ) ) {
+			problems.push( `"${ key }" should be ${ types.map( describeType ).join( ' or ' ) }, not ${ describeType( getType( value ) ) }` );
+		}
+
+		if ( option.properties && getType( value ) === 'object' ) {
+			problems.push( ...checkConfig( value, option.properties, `${ key }.` ) );
+		}
+	}
+
+	return problems;
+}
+
+// Throw an error listing all of the problems with the config
+function validateConfig( config, source = 'config' ) {
+	const problems = checkConfig( config );
+
+	if ( problems.length ) {
+		throw new Error( `Invalid gulp-boilerplate ${ source }:\n${ problems.map( problem => `  - ${ problem }` ).join( '\n' ) }` );
+	}
+
+	return config;
+}
+
+// Get the project's config file, if it has one
+function findConfigFile( directory = process.cwd() ) {
+	return CONFIG_FILES.map( file => path.resolve( directory, file ) ).find( file => fs.existsSync( file ) );
+}
+
+// Load the project's config file if it has one, returning the config and its filename
+function loadConfig( directory = process.cwd() ) {
+	const filename = findConfigFile( directory );
+	if ( ! filename ) {
+		return { config: {} };
+	}
+
+	const config = require( filename );
+	if ( getType( config ) !== 'object' ) {
+		throw new Error( `${ path.basename( filename ) } should export an object of options` );
+	}
+
+	return {
+		config: validateConfig( config, path.basename( filename ) ),
+		filename,
+	};
+}
+
+module.exports = {
+	CONFIG_FILES,
+	schema,
+	checkConfig,
+	validateConfig,
+	findConfigFile,
+	loadConfig,
+};
@@ -1,43 +1,133 @@
 const fs = require( 'fs' );
 const path = require( 'path' );
 
+// Extensions to try for extensionless script references, in order
+const jsExtensions = [ '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.json' ];
+
 const jsSearchConfig = {
 	parsers: [
-		// Match any un-commented import/export statements that mention a local path
-		/(?:^|[\r\n])(?:import|export)\s+[\s\S]*?("(?:\.[^"]+)"|'(?:\.[^']+)');/g,
+		// Match any un-commented import/export statements (with or without a semicolon),
+		// as well as dynamic import() and require() calls, that mention a local path
+		/(?:^|[\r\n])\s*(?:import|export)\s+(?:[^'";]*?\s*from\s*)?("\.[^"]+"|'\.[^']+')|(?:^|[^\w.$])(?:import|require)\s*\(\s*("\.[^"]+"|'\.[^']+'|`\.[^`$]+`)\s*\)/g,
 		// unwrap quotes
-		/"([^"]+)"|'([^']+)'/g,
+		/"([^"]+)"|'([^']+)'|`([^`]+)`/g,
 	],
 	resolvers: [
-		// Try with .js extension
-		filename => filename + '.js',
-		// Try with .mjs extension
-		filename => filename + '.mjs',
+		// Try with each extension
+		...jsExtensions.map( ext => filename => filename + ext ),
+		// Try as a directory with an index file
+		...jsExtensions.map( ext => filename => path.join( filename, 'index' + ext ) ),
 	],
 };
 
 const defaultSearchConfig = {
 	'.js': jsSearchConfig,
 	'.mjs': jsSearchConfig,
+	'.cjs': jsSearchConfig,
+	'.jsx': jsSearchConfig,
+	'.ts': jsSearchConfig,
+	'.tsx': jsSearchConfig,
 	'.scss': {
 		parsers: [
-			// Match un-indented @use/@forward, un-commented @import, as well as un-commented @include meta.load-css paths (not URLs)
-			/(?:(?:^|[\r\n])@(?:use|forward)\s+("(?:[^"]+)"|'(?:[^']+)')|(?:^|[^\/])@import\s+("(?:[^"]+)"|'(?:[^']+)');|(?:^|[^\/])@include\s+(?:meta\.)?load-css\(\s*("(?:[^"]+)"|'(?:[^']+)')\s*\))/g,
+			// Match un-indented @use/@forward, un-commented @import, as well as un-commented @include meta.load-css paths (not URLs),
+			// url() assets (images, fonts, etc) and the files used by the custom functions
+			/(?:(?:^|[\r\n])@(?:use|forward)\s+("(?:[^"]+)"|'(?:[^']+)')|(?:^|[^/])@import\s+("(?:[^"]+)"|'(?:[^']+)');|(?:^|[^/])@include\s+(?:meta\.)?load-css\(\s*("(?:[^"]+)"|'(?:[^']+)')\s*\)|(?:^|[^/\w-])(url\(\s*(?:"[^"]+"|'[^']+'|[^)'"\s]+)\s*\))|(?:^|[^/\w-])(?:inline-svg|json-token|asset-url)\(\s*("(?:[^"]+)"|'(?:[^']+)'))/g,
 			// unwrap quotes
-			/"([^"]+)"|'([^']+)'|url\((?:"([^"]+)"|'([^']+)'|([^)]+))\)/g,
+			/"([^"]+)"|'([^']+)'|url\(\s*(?:"([^"]+)"|'([^']+)'|([^)\s]+))\s*\)/g,
 		],
 		resolvers: [
 			// Try with .scss extension
 			filename => filename + '.scss',
 			// Try with SASS partial file name structure
-			filename => filename.replace( /([\w\-]+)$/, '_$1.scss' ),
+			filename => filename.replace( /([\w-]+)$/, '_$1.scss' ),
 			// Try with SASS index filename
 			filename => path.join( filename, '_index.scss' ),
+			filename => path.join( filename, 'index.scss' ),
 		],
+		// Skip built-in modules (e.g. sass:math) and URLs
+		bases: ( reference, directory ) => getSassBases( reference, directory, {} ),
 	},
 };
 
-const dependencyCache = {};
+// Find the package's folder in the nearest node_modules
+function findPackage( name, directory ) {
+	let dir = directory;
+
+	do {
+		const packageDir = path.join( dir, 'node_modules', name );
+		if ( fs.existsSync( path.join( packageDir, 'package.json' ) ) ) {
+			return packageDir;
+		}
+
+		dir = path.dirname( dir );
+	} while ( dir !== path.dirname( dir ) );
+
+	return false;
+}
+
+// Resolve a pkg: URL like the Sass NodePackageImporter does (minus conditional exports)
+function resolvePkgUrl( reference, directory ) {
+	const [ , name, subpath ] = reference.match( /^pkg:((?:@[^/]+\/)?[^/]+)\/?(.*)$/ ) || [];
+	if ( ! name ) {
+		return false;
+	}
+
+	const packageDir = findPackage( name, directory ) || findPackage( name, process.cwd() );
+	if ( ! packageDir ) {
+		return false;
+	}
+
+	if ( subpath ) {
+		return path.join( packageDir, subpath );
+	}
+
+	// Use the package's declared stylesheet, or its index
+	const pkg = JSON.parse( fs.readFileSync( path.join( packageDir, 'package.json' ), { encoding: 'utf-8' } ) );
+
+	return path.join( packageDir, pkg.sass || pkg.style || 'index' );
+}
+
+// Get the paths to try resolving a Sass reference from; relative to the
+// importing file, then each load path, or the package for pkg: URLs
+function getSassBases( reference, directory, options ) {
+	const { loadPaths = [], pkgImporter = false } = options;
+
+	if ( reference.startsWith( 'pkg:' ) ) {
+		const pkgPath = pkgImporter && resolvePkgUrl( reference, directory );
+		return pkgPath ? [ pkgPath ] : [];
+	}
+
+	// Skip built-in modules, URLs, data URIs, root relative/fragment only assets and interpolation
+	if ( /^(sass:|data:|[a-z]+:\/\/|\/|#)|#\{/.test( reference ) ) {
+		return [];
+	}
+
+	// Assets may have a query or fragment (e.g. font.eot?#iefix)
+	reference = reference.replace( /[?#].*$/, '' );
+
+	return [
+		path.resolve( directory, reference ),
+		...loadPaths.map( loadPath => path.resolve( loadPath, reference ) ),
+		// The custom functions fallback to the project root
+		path.resolve( reference ),
+	];
+}
+
+// Create a search config with the Sass load paths and pkg: support,
+// matching the options given to the Sass compiler
+function createSearchConfig( sassOptions = {} ) {
+	return {
+		...defaultSearchConfig,
+		'.scss': {
+			...defaultSearchConfig[ '.scss' ],
+			bases: ( reference, directory ) => getSassBases( reference, directory, sassOptions ),
+		},
+	};
+}
+
+// The references found in each file (and the file's mtime when scanned), shared
+// by default; a persistent store (with get/set) can be used instead
+const sharedDependencyCache = new Map();
 const resolverCache = {};
 
 function findDependencyReferences( inputs, parser ) {
@@ -93,19 +183,56 @@ function resolveDependencyReference( input, resolvers ) {
 	return false;
 }
 
-module.exports = function( searchConfig ) {
+module.exports = function( searchConfig, options = {} ) {
 	searchConfig = searchConfig || defaultSearchConfig;
 
-	function getDependencies( filename ) {
+	const { cache: dependencyCache = sharedDependencyCache } = options;
+
+	// The direct dependencies of each file scanned, and the reverse
+	// (dependency => dependents), for finding what a change affects
+	const graph = new Map();
+	const reverseGraph = new Map();
+
+	// The references that couldn't be resolved, for each file
+	const unresolved = new Map();
+
+	// Replace the file's dependencies in the graph
+	function setDependencies( filename, dependencies ) {
+		for ( const dependency of graph.get( filename ) || [] ) {
+			reverseGraph.get( dependency ).delete( filename );
+		}
+
+		graph.set( filename, dependencies );
+
+		for ( const dependency of dependencies ) {
+			if ( ! reverseGraph.has( dependency ) ) {
+				reverseGraph.set( dependency, new Set() );
+			}
+
+			reverseGraph.get( dependency ).add( filename );
+		}
+	}
+
+	// Get the direct dependencies of the file, updating the graph
+	function scanDependencies( filename ) {
 		const results = new Set();
 
 		const ext = path.extname( filename );
 		const directory = path.dirname( filename );
-		const { parsers = [], resolvers = [] } = searchConfig[ ext ] || {};
+		const {
+			parsers = [],
+			resolvers = [],
+			bases = ( reference, dir ) => [ path.resolve( dir, reference ) ],
+		} = searchConfig[ ext ] || {};
 
 		const stats = fs.statSync( filename );
-		const cacheKey = `${ filename }@${ stats.mtimeMs }`;
-		let dependencies = dependencyCache[ cacheKey ];
+		const cached = dependencyCache.get( filename );
+		let dependencies = cached && cached.mtimeMs === stats.mtimeMs ? cached.references : undefined;
+
+		// Nothing to scan for in other files (e.g. images or JSON)
+		if ( ! parsers.length ) {
+			dependencies = [];
+		}
 
 		if ( ! dependencies ) {
 			const content = fs.readFileSync( filename, { encoding: 'utf-8' } );
@@ -119,36 +246,132 @@ module.exports = function( searchConfig ) {
 				dependencies = findDependencyReferences( dependencies, parser );
 			}
 
-			dependencyCache[ cacheKey ] = dependencies;
+			dependencyCache.set( filename, { mtimeMs: stats.mtimeMs, references: dependencies } );
 		}
 
-		// Resolve each dependency, add it to the list,
-		// as well as any of it's dependencies
+		unresolved.delete( filename );
+		const missing = [];
+
+		// Resolve each dependency and add it to the list
 		for ( const dep of dependencies ) {
-			const depPath = path.resolve( directory, dep );
+			const depPaths = bases( dep, directory );
 
-			let dependency = resolverCache[ depPath ];
-			if ( ! dependency ) {
-				dependency = resolveDependencyReference( depPath, resolvers );
+			// Try each possible location, using the first found
+			let dependency = false;
+			for ( const depPath of depPaths ) {
+				dependency = resolverCache[ depPath ];
+
+				// Re-resolve if the file has since been removed
+				if ( dependency && ! fs.existsSync( dependency ) ) {
+					delete resolverCache[ depPath ];
+					dependency = false;
+				}
 
-				// Skip if not found
 				if ( ! dependency ) {
-					continue;
+					dependency = resolveDependencyReference( depPath, resolvers );
+
+					// Cache the result
+					if ( dependency ) {
+						resolverCache[ depPath ] = dependency;
+					}
 				}
 
-				// Cache the result
-				resolverCache[ depPath ] = dependency;
+				if ( dependency ) {
+					break;
+				}
+			}
+
+			// Skip if not found (unless it's not a file at all)
+			if ( ! dependency ) {
+				if ( depPaths.length ) {
+					missing.push( dep );
+				}
+				continue;
 			}
 
-			// Add to the list and get it's child dependencies
 			results.add( dependency );
-			getDependencies( dependency ).forEach( childDep => results.add( childDep ) );
 		}
 
+		if ( missing.length ) {
+			unresolved.set( filename, missing );
+		}
+
+		setDependencies( filename, results );
+
 		return results;
 	}
 
+	function getDependencies( filename ) {
+		const results = new Set();
+
+		// Add each dependency to the list, as well as any of its dependencies,
+		// skipping those already found (which also prevents circular loops)
+		function addDependencies( file ) {
+			for ( const dependency of scanDependencies( file ) ) {
+				if ( ! results.has( dependency ) ) {
+					results.add( dependency );
+					addDependencies( dependency );
+				}
+			}
+		}
+
+		if ( fs.existsSync( filename ) ) {
+			addDependencies( filename );
+		}
+
+		return results;
+	}
+
+	// Get all files that depend on the file, directly or otherwise
+	getDependencies.getDependents = function( filename ) {
+		const results = new Set();
+
+		function addDependents( file ) {
+			for ( const dependent of reverseGraph.get( file ) || [] ) {
+				if ( ! results.has( dependent ) ) {
+					results.add( dependent );
+					addDependents( dependent );
+				}
+			}
+		}
+
+		addDependents( filename );
+
+		return results;
+	};
+
+	// Rescan an added/changed file
+	getDependencies.update = function( filename ) {
+		// Those with unresolved references may now resolve to it
+		for ( const file of [ ...unresolved.keys() ] ) {
+			if ( file !== filename && fs.existsSync( file ) ) {
+				scanDependencies( file );
+			}
+		}
+
+		getDependencies( filename );
+	};
+
+	// Remove a file from the graph, returning its dependents;
+	// they keep depending on it until they themselves are rescanned
+	getDependencies.remove = function( filename ) {
+		const dependents = getDependencies.getDependents( filename );
+
+		setDependencies( filename, new Set() );
+		graph.delete( filename );
+		unresolved.delete( filename );
+
+		return dependents;
+	};
+
+	// The direct dependencies of each file scanned so far
+	getDependencies.getGraph = () => graph;
+
+	// The references that couldn't be resolved, for each file scanned so far
+	getDependencies.getUnresolved = () => unresolved;
+
 	return getDependencies;
 };
 
 module.exports.defaultSearchConfig = defaultSearchConfig;
+module.exports.createSearchConfig = createSearchConfig;
@@ -0,0 +1,70 @@
+// Shareable ESLint flat config, used when the project doesn't have its own eslint.config.js
+
+const js = require( '@eslint/js' );
+const globals = require( 'globals' );
+const babelParser = require( '@babel/eslint-parser' );
+const react = require( 'eslint-plugin-react' );
+const tseslint = require( 'typescript-eslint' );
+
+// Globals WordPress provides for themes/plugins
+const wordpressGlobals = {
+	wp: 'readonly',
+	jQuery: 'readonly',
+	ajaxurl: 'readonly',
+	wpApiSettings: 'readonly',
+};
+
+// Use the project's React version, or that WordPress ships with
+function getReactVersion() {
+	try {
+		return require( require.resolve( 'react/package.json', { paths: [ process.cwd() ] } ) ).version;
+	} catch {
+		return '18.3';
+	}
+}
+
+module.exports = function( options = {} ) {
+	const { wordpress = false } = options;
+
+	return [
+		js.configs.recommended,
+		react.configs.flat.recommended,
+		react.configs.flat[ 'jsx-runtime' ],
+		{
+			files: [ '**/*.{js,mjs,jsx,ts,tsx}' ],
+			languageOptions: {
+				sourceType: 'module',
+				globals: {
+					...globals.browser,
+					...( wordpress ? wordpressGlobals : {} ),
+				},
+			},
+			settings: {
+				react: {
+					version: getReactVersion(),
+				},
+			},
+		},
+		{
+			files: [ '**/*.{js,mjs,jsx}' ],
+			languageOptions: {
+				parser: babelParser,
+				parserOptions: {
+					// Parse JSX even if the project has no Babel config
+					requireConfigFile: false,
+					allowImportExportEverywhere: true,
+					babelOptions: {
+						presets: [ require.resolve( '@babel/preset-react' ) ],
+					},
+				},
+			},
+		},
+		// TypeScript, with its own parser and rules
+		...tseslint.configs.recommended.map( config => ( {
+			...config,
+			files: [ '**/*.{ts,tsx}' ],
+		} ) ),
+	];
+};
+
+module.exports.wordpressGlobals = wordpressGlobals;
@@ -0,0 +1,82 @@
+// Map imports to globals, so they're referenced instead of bundled.
+// Keys are package names, optionally ending in a * wildcard, mapped to
+// the global name (with the * replaced by the camelCased remainder),
+// or false to always bundle it.
+
+const wordpressExternals = {
+	'@wordpress/*': 'wp.*',
+	// Not registered by WordPress, so they need bundling
+	'@wordpress/icons': false,
+	'@wordpress/interface': false,
+	jquery: 'jQuery',
+	react: 'React',
+	'react-dom': 'ReactDOM',
+	'react/jsx-runtime': 'ReactJSXRuntime',
+};
+
+// Prefix for the modules standing in for externals referenced as globals
+const GLOBAL_PREFIX = '\0global:';
+
+// Convert kebab-case to camelCase
+function camelCase( name ) {
+	return name.replace( /-([a-z0-9])/g, ( match, char ) => char.toUpperCase() );
+}
+
+module.exports = function( map = {} ) {
+	const exact = {};
+	const wildcards = [];
+
+	for ( const [ pattern, global ] of Object.entries( map ) ) {
+		if ( pattern.endsWith( '*' ) ) {
+			wildcards.push( [ pattern.slice( 0, -1 ), global ] );
+		} else {
+			exact[ pattern ] = global;
+		}
+	}
+
+	// Get the global for the import, if it's external
+	function getGlobal( id ) {
+		if ( id in exact ) {
+			return exact[ id ] || undefined;
+		}
+
+		for ( const [ prefix, global ] of wildcards ) {
+			const name = id.slice( prefix.length );
+
+			// Only match the package itself, not subpaths
+			if ( global && id.startsWith( prefix ) && name && ! name.includes( '/' ) ) {
+				return global.replace( '*', camelCase( name ) );
+			}
+		}
+
+		return undefined;
+	}
+
+	// Reference the globals from modules, rather than output.globals (which ES modules can't use)
+	const plugin = {
+		name: 'externals-as-globals',
+		resolveId( id ) {
+			return getGlobal( id ) !== undefined ? GLOBAL_PREFIX + id : null;
+		},
+		load( id ) {
+			if ( ! id.startsWith( GLOBAL_PREFIX ) ) {
+				return null;
+			}
+
+			// Named imports are properties of the global
+			return {
+				code: `export default ${ getGlobal( id.slice( GLOBAL_PREFIX.length ) ) };`,
+				syntheticNamedExports: true,
+			};
+		},
+	};
+
+	return {
+		external: id => getGlobal( id ) !== undefined,
+		globals: getGlobal,
+		plugin,
+	};
+};
+
+module.exports.wordpressExternals = wordpressExternals;
+module.exports.GLOBAL_PREFIX = GLOBAL_PREFIX;
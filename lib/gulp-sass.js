@@ -0,0 +1,98 @@
+// Compile Sass with the modern compileStringAsync() API, replacing gulp-dart-sass
+// (which uses the deprecated legacy API and doesn't support custom functions)
+
+const Transform = require( 'stream' ).Transform;
+const path = require( 'path' );
+const { pathToFileURL, fileURLToPath } = require( 'url' );
+const sass = require( 'sass' );
+const PluginError = require( 'plugin-error' );
+const applySourceMap = require( 'vinyl-sourcemaps-apply' );
+
+const PLUGIN_NAME = 'sass';
+
+// Convert the source map's file: URLs to paths relative to the file base
+function relativeSources( map, file ) {
+	map.file = file.relative;
+	map.sources = map.sources.map( source => {
+		if ( source.startsWith( 'file:' ) ) {
+			source = fileURLToPath( source );
+		}
+
+		return path.relative( file.base, source );
+	} );
+
+	return map;
+}
+
+// Add the file/line details to the error, in the same format as gulp-dart-sass
+function createError( error, file ) {
+	const { span } = error;
+
+	let filename = file.path;
+	if ( span && span.url && span.url.protocol === 'file:' ) {
+		filename = fileURLToPath( span.url );
+	}
+
+	const relativePath = path.relative( process.cwd(), filename );
+
+	const pluginError = new PluginError( PLUGIN_NAME, error.sassMessage || error.message, {
+		fileName: filename,
+		lineNumber: span ? span.start.line + 1 : undefined,
+		showStack: false,
+	} );
+
+	pluginError.relativePath = relativePath;
+	pluginError.column = span ? span.start.column + 1 : undefined;
+	pluginError.messageFormatted = `${ relativePath }\n${ error.message }`;
+	// The code frame (and stack trace) follows the message
+	pluginError.frame = error.sassMessage ? error.message.slice( error.sassMessage.length ) : undefined;
+
+	return pluginError;
+}
+
+// Options are those of compileStringAsync(), though functions
+// can also be a function that's passed the file, returning them
+function gulpSass( options = {} ) {
+	const { functions, pkgImporter, importers = [], ...compileOptions } = options;
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.isNull() ) {
+				return cb( null, file );
+			}
+
+			// Skip partials
+			if ( file.basename.startsWith( '_' ) ) {
+				return cb();
+			}
+
+			const createSourceMap = file.sourceMap !== undefined;
+
+			sass.compileStringAsync( file.contents.toString(), {
+				...compileOptions,
+				// Allows relative imports and errors to reference the file
+				url: pathToFileURL( file.path ),
+				syntax: file.extname === '.sass' ? 'indented' : 'scss',
+				importers: pkgImporter ? [ ...importers, new sass.NodePackageImporter() ] : importers,
+				functions: typeof functions === 'function' ? functions( file ) : functions,
+				sourceMap: createSourceMap,
+				sourceMapIncludeSources: true,
+			} )
+				.then( result => {
+					file.contents = Buffer.from( result.css );
+					file.extname = '.css';
+
+					if ( createSourceMap && result.sourceMap ) {
+						applySourceMap( file, relativeSources( result.sourceMap, file ) );
+					}
+
+					cb( null, file );
+				} )
+				.catch( error => cb( createError( error, file ) ) );
+		}
+	}( {
+		objectMode: true,
+	} );
+}
+
+module.exports = gulpSass;
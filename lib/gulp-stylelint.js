@@ -0,0 +1,95 @@
+// Lint files with Stylelint, in the same way as gulp-eslint-new;
+// the results are attached to the file for formatEach() and others
+
+const Transform = require( 'stream' ).Transform;
+const fs = require( 'fs' );
+const path = require( 'path' );
+const defaultConfig = require( './stylelint-config' );
+
+// Files Stylelint will look for config in
+const configFiles = [
+	'.stylelintrc',
+	'.stylelintrc.json',
+	'.stylelintrc.yaml',
+	'.stylelintrc.yml',
+	'.stylelintrc.js',
+	'.stylelintrc.cjs',
+	'.stylelintrc.mjs',
+	'stylelint.config.js',
+	'stylelint.config.cjs',
+	'stylelint.config.mjs',
+];
+
+// Check if the project has its own config to use instead
+function hasProjectConfig( cwd ) {
+	if ( configFiles.some( filename => fs.existsSync( path.join( cwd, filename ) ) ) ) {
+		return true;
+	}
+
+	try {
+		const pkg = JSON.parse( fs.readFileSync( path.join( cwd, 'package.json' ), { encoding: 'utf-8' } ) );
+		return !! pkg.stylelint;
+	} catch {
+		return false;
+	}
+}
+
+function gulpStylelint( options = {} ) {
+	const { cwd = process.cwd() } = options;
+	let { config } = options;
+
+	if ( ! config && ! hasProjectConfig( cwd ) ) {
+		config = defaultConfig;
+	}
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.isNull() ) {
+				return cb( null, file );
+			}
+
+			// Loaded as ESM, since the CommonJS API is deprecated
+			import( 'stylelint' )
+				.then( ( { default: stylelint } ) => stylelint.lint( {
+					code: file.contents.toString(),
+					codeFilename: file.path,
+					config,
+					cwd,
+					formatter: 'string',
+				} ) )
+				.then( ( { results: [ result ], report } ) => {
+					file.stylelint = {
+						...result,
+						report,
+					};
+
+					cb( null, file );
+				} )
+				.catch( cb );
+		}
+	}( {
+		objectMode: true,
+	} );
+}
+
+// Print the results for each file
+gulpStylelint.formatEach = function() {
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			const { report, errored } = file.stylelint || {};
+
+			// To stderr when failing, like the errors of the other builds
+			if ( report ) {
+				( errored ? console.error : console.info )( report.trimEnd() );
+			}
+
+			cb( null, file );
+		}
+	}( {
+		objectMode: true,
+	} );
+};
+
+gulpStylelint.defaultConfig = defaultConfig;
+
+module.exports = gulpStylelint;
@@ -0,0 +1,291 @@
+// Inspect the dependency graph of the style/script entries; printing trees,
+// finding circular imports, orphaned partials and unresolved references
+
+const path = require( 'path' );
+const { src } = require( 'gulp' );
+const createDependencies = require( './dependencies' );
+
+const usage = `Usage: inspect-dependencies <command> [file] [options]
+
+Commands:
+  tree <file>        Print the full dependency tree of the file
+  dependents <file>  List the entries that include the file
+  cycles             List any circular imports
+  orphans            List partials that no entry uses
+  missing            List references that couldn't be resolved
+  export             Print the graph (as JSON, or DOT with --format dot)
+
+Options:
+  --subdirs <dir>    Only look for entries in the subdirectory
+  --load-path <dir>  Add a Sass load path (besides sassLoadPaths)
+  --format <format>  The export format, json (default) or dot`;
+
+// Parse the command, file and --options (in either --key value or --key=value form)
+function parseArgs( argv ) {
+	const args = { _: [], loadPaths: [] };
+
+	for ( let i = 0; i < argv.length; i++ ) {
+		const arg = argv[ i ];
+
+		if ( ! arg.startsWith( '--' ) ) {
+			args._.push( arg );
+			continue;
+		}
+
+		let [ key, value ] = arg.slice( 2 ).split( '=' );
+		if ( value === undefined ) {
+			value = argv[ ++i ];
+		}
+
+		if ( key === 'load-path' ) {
+			args.loadPaths.push( value );
+		} else {
+			args[ key ] = value;
+		}
+	}
+
+	return args;
+}
+
+function relative( filename ) {
+	return path.relative( process.cwd(), filename ).split( path.sep ).join( '/' );
+}
+
+// Get the paths of the files matching the globs
+function findFiles( globs ) {
+	return new Promise( ( resolve, reject ) => {
+		const files = [];
+
+		src( globs, { read: false, dot: true } )
+			.on( 'data', file => files.push( file.path ) )
+			.on( 'error', reject )
+			.on( 'end', () => resolve( files.sort() ) );
+	} );
+}
+
+// The files in the entries' folders (and their subfolders), which may be partials;
+// skipping the compiled/vendor ones, but not partials, since they're what's wanted
+function getSourceGlobs( paths ) {
+	return [ paths.styles, paths.scripts ].flatMap( ( { input, lint } ) => [
+		...input
+			.filter( glob => ! /\/_\*\.\w+$/.test( glob ) )
+			.map( glob => glob.startsWith( '!' ) ? glob : glob.replace( /\/\*\.([^/]+)$/, '/**/*.$1' ) ),
+		...lint.filter( glob => glob.startsWith( '!' ) ),
+	] );
+}
+
+// Scan all of the entries, to fill out the graph
+async function scanEntries( paths, getDependencies ) {
+	const entries = await findFiles( [ ...paths.styles.input, ...paths.scripts.input ] );
+
+	for ( const entry of entries ) {
+		getDependencies( entry );
+	}
+
+	return entries;
+}
+
+function printTree( filename, graph ) {
+	const lines = [ relative( filename ) ];
+
+	// Mark those that include one of their ancestors, rather than following them
+	function addBranch( file, ancestors, indent ) {
+		const dependencies = [ ...graph.get( file ) || [] ];
+
+		dependencies.forEach( ( dependency, index ) => {
+			const isLast = index === dependencies.length - 1;
+			const isCircular = ancestors.has( dependency );
+
+			lines.push( `${ indent }${ isLast ? '└── ' : '├── ' }${ relative( dependency ) }${ isCircular ? ' (circular)' : '' }` );
+
+			if ( ! isCircular ) {
+				addBranch( dependency, new Set( [ ...ancestors, dependency ] ), indent + ( isLast ? '    ' : '│   ' ) );
+			}
+		} );
+	}
+
+	addBranch( filename, new Set( [ filename ] ), '' );
+
+	console.log( lines.join( '\n' ) );
+}
+
+// Find each distinct cycle in the graph, as the list of files involved
+function findCycles( graph ) {
+	const cycles = new Map();
+	const visited = new Set();
+
+	function visit( file, stack ) {
+		const index = stack.indexOf( file );
+		if ( index !== -1 ) {
+			const cycle = stack.slice( index );
+
+			// Start from the same file regardless of where it was entered, to avoid duplicates
+			const start = cycle.indexOf( [ ...cycle ].sort()[ 0 ] );
+			const normalized = [ ...cycle.slice( start ), ...cycle.slice( 0, start ) ];
+			cycles.set( normalized.join( '\n' ), normalized );
+			return;
+		}
+
+		if ( visited.has( file ) ) {
+			return;
+		}
+
+		for ( const dependency of graph.get( file ) || [] ) {
+			visit( dependency, [ ...stack, file ] );
+		}
+
+		visited.add( file );
+	}
+
+	for ( const file of graph.keys() ) {
+		visit( file, [] );
+	}
+
+	return [ ...cycles.values() ];
+}
+
+function toDot( graph, entries ) {
+	const lines = [ 'digraph dependencies {', '\tnode [shape=ellipse];' ];
+
+	for ( const entry of entries ) {
+		lines.push( `\t"${ relative( entry ) }" [shape=box];` );
+	}
+
+	for ( const [ file, dependencies ] of graph ) {
+		for ( const dependency of dependencies ) {
+			lines.push( `\t"${ relative( file ) }" -> "${ relative( dependency ) }";` );
+		}
+	}
+
+	lines.push( '}' );
+
+	return lines.join( '\n' );
+}
+
+function toJson( graph, entries, unresolved ) {
+	const data = {
+		entries: entries.map( relative ),
+		graph: {},
+		unresolved: {},
+	};
+
+	for ( const [ file, dependencies ] of graph ) {
+		data.graph[ relative( file ) ] = [ ...dependencies ].map( relative );
+	}
+
+	for ( const [ file, references ] of unresolved ) {
+		data.unresolved[ relative( file ) ] = references;
+	}
+
+	return JSON.stringify( data, null, '\t' );
+}
+
+// Run the command with the config (as resolveConfig() resolves the
+// project's), resolving to the exit code (1 if any problems were found)
+async function inspect( argv, resolveConfig ) {
+	const args = parseArgs( argv );
+	const [ command, file ] = args._;
+
+	const { paths, sassLoadPaths, sassPkgImporter } = resolveConfig( args.subdirs ? { subdirs: args.subdirs } : {} );
+	const getDependencies = createDependencies( createDependencies.createSearchConfig( {
+		loadPaths: [ ...sassLoadPaths, ...args.loadPaths ].map( loadPath => path.resolve( loadPath ) ),
+		pkgImporter: sassPkgImporter,
+	} ) );
+	const graph = getDependencies.getGraph();
+	const unresolved = getDependencies.getUnresolved();
+
+	switch ( command ) {
+		case 'tree': {
+			if ( ! file ) {
+				break;
+			}
+
+			getDependencies( path.resolve( file ) );
+			printTree( path.resolve( file ), graph );
+
+			return 0;
+		}
+
+		case 'dependents': {
+			if ( ! file ) {
+				break;
+			}
+
+			const entries = await scanEntries( paths, getDependencies );
+			const dependents = getDependencies.getDependents( path.resolve( file ) );
+			const included = entries.filter( entry => dependents.has( entry ) );
+
+			if ( ! included.length ) {
+				console.log( 'No entries include %s', relative( path.resolve( file ) ) );
+			}
+
+			included.forEach( entry => console.log( relative( entry ) ) );
+
+			return 0;
+		}
+
+		case 'cycles': {
+			await scanEntries( paths, getDependencies );
+			const cycles = findCycles( graph );
+
+			if ( ! cycles.length ) {
+				console.log( 'No circular imports found' );
+			}
+
+			for ( const cycle of cycles ) {
+				console.log( [ ...cycle, cycle[ 0 ] ].map( relative ).join( ' -> ' ) );
+			}
+
+			return cycles.length ? 1 : 0;
+		}
+
+		case 'orphans': {
+			// Every file scanned is either an entry or used by one
+			await scanEntries( paths, getDependencies );
+			const partials = await findFiles( getSourceGlobs( paths ) );
+			const orphans = partials.filter( partial => ! graph.has( partial ) );
+
+			if ( ! orphans.length ) {
+				console.log( 'No orphaned partials found' );
+			}
+
+			orphans.forEach( orphan => console.log( relative( orphan ) ) );
+
+			return orphans.length ? 1 : 0;
+		}
+
+		case 'missing': {
+			await scanEntries( paths, getDependencies );
+
+			if ( ! unresolved.size ) {
+				console.log( 'No unresolved references found' );
+			}
+
+			for ( const [ filename, references ] of unresolved ) {
+				console.log( relative( filename ) );
+				references.forEach( reference => console.log( '  %s', reference ) );
+			}
+
+			return unresolved.size ? 1 : 0;
+		}
+
+		case 'export': {
+			const entries = await scanEntries( paths, getDependencies );
+
+			if ( args.format === 'dot' ) {
+				console.log( toDot( graph, entries ) );
+			} else {
+				console.log( toJson( graph, entries, unresolved ) );
+			}
+
+			return 0;
+		}
+	}
+
+	console.warn( usage );
+
+	return 1;
+}
+
+module.exports = inspect;
+module.exports.findCycles = findCycles;
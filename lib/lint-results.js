@@ -0,0 +1,136 @@
+// Collect the ESLint/Stylelint results attached to each file, optionally
+// writing them to a JUnit (.xml) or JSON report and failing on problems
+
+const Transform = require( 'stream' ).Transform;
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+// Convert the linter's results to a common format
+function normalize( file ) {
+	if ( file.eslint ) {
+		return {
+			filePath: file.eslint.filePath,
+			messages: file.eslint.messages.map( message => ( {
+				line: message.line,
+				column: message.column,
+				severity: message.severity === 2 ? 'error' : 'warning',
+				message: message.message,
+				rule: message.ruleId || '',
+			} ) ),
+		};
+	}
+
+	if ( file.stylelint ) {
+		return {
+			filePath: file.stylelint.source || file.path,
+			messages: file.stylelint.warnings.map( warning => ( {
+				line: warning.line,
+				column: warning.column,
+				severity: warning.severity,
+				// Stylelint appends the rule to the text
+				message: warning.text.replace( ` (${ warning.rule })`, '' ),
+				rule: warning.rule,
+			} ) ),
+		};
+	}
+
+	return false;
+}
+
+function escapeXml( value ) {
+	return String( value )
+		.replace( /&/g, '&amp;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' )
+		.replace( /"/g, '&quot;' )
+		.replace( /'/g, '&apos;' );
+}
+
+function toJUnit( name, results ) {
+	const lines = [ '<?xml version="1.0" encoding="utf-8"?>', '<testsuites>' ];
+
+	for ( const { filePath, messages } of results ) {
+		const file = escapeXml( path.relative( process.cwd(), filePath ) );
+		const errors = messages.filter( message => message.severity === 'error' ).length;
+
+		lines.push( `<testsuite package="${ name }" time="0" tests="${ messages.length || 1 }" errors="${ errors }" name="${ file }">` );
+
+		if ( ! messages.length ) {
+			lines.push( `<testcase time="0" name="${ name }" classname="${ file }" />` );
+		}
+
+		for ( const { line, column, severity, message, rule } of messages ) {
+			const label = severity === 'error' ? 'Error' : 'Warning';
+
+			lines.push( `<testcase time="0" name="${ name }.${ escapeXml( rule ) }" classname="${ file }">` );
+			lines.push( `<failure message="${ escapeXml( message ) }"><![CDATA[line ${ line }, col ${ column }, ${ label } - ${ message } (${ rule })]]></failure>` );
+			lines.push( '</testcase>' );
+		}
+
+		lines.push( '</testsuite>' );
+	}
+
+	lines.push( '</testsuites>', '' );
+
+	return lines.join( '\n' );
+}
+
+function writeReport( filename, name, results ) {
+	const contents = path.extname( filename ) === '.json'
+		? JSON.stringify( results, null, '\t' ) + '\n'
+		: toJUnit( name, results );
+
+	fs.mkdirSync( path.dirname( filename ), { recursive: true } );
+	fs.writeFileSync( filename, contents );
+
+	console.info( 'Saved lint report to %s', filename );
+}
+
+function pluralize( count, word ) {
+	return `${ count } ${ word }${ count === 1 ? '' : 's' }`;
+}
+
+// Name is the linter (e.g. eslint), which replaces [name] in the report filename
+module.exports = function( name, options = {} ) {
+	const { enabled = true, warnings = false, report } = options;
+
+	const results = [];
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			const result = enabled && normalize( file );
+
+			if ( result ) {
+				results.push( result );
+			}
+
+			cb( null, file );
+		}
+
+		_flush( cb ) {
+			if ( ! enabled ) {
+				return cb();
+			}
+
+			if ( report ) {
+				try {
+					writeReport( report.replace( '[name]', name ), name, results );
+				} catch ( error ) {
+					return cb( error );
+				}
+			}
+
+			const messages = results.flatMap( result => result.messages );
+			const errorCount = messages.filter( message => message.severity === 'error' ).length;
+			const warningCount = messages.length - errorCount;
+
+			if ( errorCount || ( warnings && warningCount ) ) {
+				return cb( new Error( `${ name } found ${ pluralize( errorCount, 'error' ) } and ${ pluralize( warningCount, 'warning' ) }` ) );
+			}
+
+			cb();
+		}
+	}( {
+		objectMode: true,
+	} );
+};
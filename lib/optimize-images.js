@@ -0,0 +1,223 @@
+// Optimize images losslessly with sharp (PNGs), gifsicle (GIFs), svgo (vectors) and by
+// stripping metadata (JPEGs), optionally generating modern format copies of rasters
+
+const Transform = require( 'stream' ).Transform;
+const { execFile } = require( 'child_process' );
+const gifsicle = require( 'gifsicle' );
+const sharp = require( 'sharp' );
+const { optimize } = require( 'svgo' );
+
+const defaultOptions = {
+	// Lossless compression
+	png: {
+		compressionLevel: 9,
+		adaptiveFiltering: true,
+		effort: 10,
+		palette: false,
+	},
+	// Stripped of metadata, since re-encoding is lossy, so only done if given options
+	jpeg: true,
+	// gifsicle's (lossless) optimization level, whether to interlace, and the number
+	// of colors to reduce the palette to (which is lossy, so not by default)
+	gif: {
+		optimizationLevel: 3,
+		interlaced: false,
+	},
+	svg: {
+		multipass: true,
+	},
+	// Modern formats are only generated if requested
+	webp: {
+		quality: 80,
+	},
+	avif: {
+		quality: 50,
+	},
+};
+
+const rasterFormats = {
+	'.png': 'png',
+	'.jpg': 'jpeg',
+	'.jpeg': 'jpeg',
+	'.gif': 'gif',
+};
+
+// JPEG markers kept when stripping metadata
+function isKeptMarker( marker, segment ) {
+	// Comments
+	if ( marker === 0xFE ) {
+		return false;
+	}
+
+	// Only application segments are metadata
+	if ( marker < 0xE0 || marker > 0xEF ) {
+		return true;
+	}
+
+	// JFIF (APP0), ICC profiles (APP2) and Adobe's color transform (APP14) affect
+	// the colors, and Exif (APP1) the orientation, unlike XMP (also APP1) and the rest
+	const identifier = segment.subarray( 4, 10 ).toString( 'latin1' );
+
+	return marker === 0xE0 || marker === 0xE2 || marker === 0xEE || ( marker === 0xE1 && identifier === 'Exif\0\0' );
+}
+
+// Remove the metadata segments before the image data, leaving it untouched
+function stripJpegMetadata( contents ) {
+	// Not a JPEG
+	if ( contents[ 0 ] !== 0xFF || contents[ 1 ] !== 0xD8 ) {
+		return contents;
+	}
+
+	const segments = [ contents.subarray( 0, 2 ) ];
+
+	let offset = 2;
+	while ( offset + 4 <= contents.length ) {
+		// Unexpected data, so leave it as is
+		if ( contents[ offset ] !== 0xFF ) {
+			return contents;
+		}
+
+		const marker = contents[ offset + 1 ];
+
+		// Fill bytes
+		if ( marker === 0xFF ) {
+			offset++;
+			continue;
+		}
+
+		// The start of the scan, with the image data after
+		if ( marker === 0xDA ) {
+			segments.push( contents.subarray( offset ) );
+			return Buffer.concat( segments );
+		}
+
+		const end = offset + 2 + contents.readUInt16BE( offset + 2 );
+		const segment = contents.subarray( offset, end );
+
+		if ( isKeptMarker( marker, segment ) ) {
+			segments.push( segment );
+		}
+
+		offset = end;
+	}
+
+	return contents;
+}
+
+// Optimize the GIF with gifsicle, resolving to the output
+function optimizeGif( contents, options ) {
+	const { optimizationLevel, interlaced, colors } = options;
+
+	const args = [ '--no-warnings', `--optimize=${ optimizationLevel }` ];
+	if ( interlaced ) {
+		args.push( '--interlace' );
+	}
+
+	if ( colors ) {
+		args.push( `--colors=${ colors }` );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const child = execFile( gifsicle, args, { encoding: 'buffer', maxBuffer: Infinity }, ( error, stdout ) => error ? reject( error ) : resolve( stdout ) );
+		child.stdin.end( contents );
+	} );
+}
+
+// Copy the file with new contents, and optionally a new extension
+function withContents( file, contents, extname ) {
+	const copy = file.clone( { contents: false } );
+	copy.contents = contents;
+
+	if ( extname ) {
+		copy.extname = extname;
+	}
+
+	return copy;
+}
+
+async function optimizeFile( file, formats, options ) {
+	const ext = file.extname.toLowerCase();
+
+	// Unless disabled
+	if ( ext === '.svg' && options.svg ) {
+		const { data } = optimize( file.contents.toString(), {
+			...options.svg,
+			path: file.path,
+		} );
+
+		return [ withContents( file, Buffer.from( data ) ) ];
+	}
+
+	const format = rasterFormats[ ext ];
+	if ( ! format ) {
+		return [ file ];
+	}
+
+	const image = sharp( file.contents );
+
+	const results = [];
+
+	// Only use the optimized version if it's actually smaller
+	let optimized = file.contents;
+	if ( format === 'gif' && options.gif ) {
+		optimized = await optimizeGif( file.contents, options.gif );
+	} else if ( format === 'jpeg' && options.jpeg === true ) {
+		optimized = stripJpegMetadata( file.contents );
+	} else if ( options[ format ] ) {
+		optimized = await image.clone().toFormat( format, options[ format ] ).toBuffer();
+	}
+
+	if ( optimized.length < file.contents.length ) {
+		results.push( withContents( file, optimized ) );
+	} else {
+		results.push( file );
+	}
+
+	// Not for GIFs, for animation/palette reasons
+	if ( format !== 'gif' ) {
+		for ( const modernFormat of formats.filter( modernFormat => options[ modernFormat ] ) ) {
+			const converted = await image.clone().toFormat( modernFormat, options[ modernFormat ] ).toBuffer();
+			results.push( withContents( file, converted, `.${ modernFormat }` ) );
+		}
+	}
+
+	return results;
+}
+
+module.exports = function( config = {} ) {
+	const { formats = [], ...overrides } = config;
+
+	// Each format's options override the defaults, with false to disable
+	// it (e.g. copying PNGs as is), or true to use the defaults
+	const options = {};
+	for ( const [ format, defaults ] of Object.entries( defaultOptions ) ) {
+		const override = overrides[ format ];
+
+		if ( override === undefined || override === true ) {
+			options[ format ] = defaults;
+		} else if ( override === false ) {
+			options[ format ] = false;
+		} else {
+			options[ format ] = typeof defaults === 'object' ? { ...defaults, ...override } : override;
+		}
+	}
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.isNull() ) {
+				return cb( null, file );
+			}
+
+			optimizeFile( file, formats, options )
+				.then( files => {
+					files.forEach( result => this.push( result ) );
+					cb();
+				} )
+				.catch( cb );
+		}
+	}( {
+		objectMode: true,
+	} );
+};
+
+module.exports.defaultOptions = defaultOptions;
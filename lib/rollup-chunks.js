@@ -0,0 +1,145 @@
+// Like rollup-each, but bundling each group of entries (by default those in the same
+// folder) together, so modules they share (and dynamic imports) become separate chunks
+
+const Transform = require( 'stream' ).Transform;
+const path = require( 'path' );
+const defaultRollup = require( 'rollup' );
+const applySourceMap = require( 'vinyl-sourcemaps-apply' );
+const { GLOBAL_PREFIX } = require( './externals' );
+
+const cache = {}; // cache - ( outside of export ), keyed by the group
+
+// `isCache` can also be a persistent store (with get/set), like rollup-each's
+function getCache( isCache, key ) {
+	if ( ! isCache ) {
+		return false;
+	}
+
+	if ( ! cache[ key ] && typeof isCache === 'object' ) {
+		cache[ key ] = isCache.get( key );
+	}
+
+	return cache[ key ];
+}
+
+// The externals the chunk uses, including those referenced as globals
+function getExternals( chunk, chunks ) {
+	return [
+		...chunk.imports.filter( fileName => ! chunks.has( fileName ) ),
+		...chunk.moduleIds.filter( id => id.startsWith( GLOBAL_PREFIX ) ).map( id => id.slice( GLOBAL_PREFIX.length ) ),
+	];
+}
+
+// Include the externals of the chunks it statically imports, since they're loaded with it
+function getAllExternals( chunk, chunks, seen = new Set() ) {
+	seen.add( chunk.fileName );
+
+	const externals = new Set( getExternals( chunk, chunks ) );
+	for ( const fileName of chunk.imports ) {
+		if ( chunks.has( fileName ) && ! seen.has( fileName ) ) {
+			getAllExternals( chunks.get( fileName ), chunks, seen ).forEach( external => externals.add( external ) );
+		}
+	}
+
+	return [ ...externals ];
+}
+
+// Create the file for the chunk, based on its entry (or the group's first file for shared chunks)
+function createFile( chunk, file, directory, createSourceMap ) {
+	const output = file.clone( { contents: false } );
+	output.path = path.join( directory, chunk.fileName );
+	output.contents = Buffer.from( chunk.code );
+
+	if ( createSourceMap ) {
+		// Sources are relative to the chunk
+		const map = chunk.map;
+		map.file = output.relative;
+		map.sources = map.sources.map( source => path.relative( file.cwd, path.resolve( directory, path.dirname( chunk.fileName ), source ) ) );
+		applySourceMap( output, map );
+	}
+
+	return output;
+}
+
+// Options are the same as rollup-each's, plus groupBy() to get the group of each file
+module.exports = function( inputOptions = {}, outputOptions = {}, options = {} ) {
+	const { rollup = defaultRollup.rollup, groupBy = file => path.dirname( file.path ) } = options;
+
+	const groups = new Map();
+
+	function bundleGroup( group, files ) {
+		const { isCache, cacheKey, ...groupInputOptions } = inputOptions;
+		// `cacheKey` distinguishes builds of the same group with different options
+		const key = cacheKey ? `${ group }:${ cacheKey }` : group;
+		const createSourceMap = files[ 0 ].sourceMap !== undefined;
+		const directory = path.dirname( files[ 0 ].path );
+
+		return rollup( {
+			...groupInputOptions,
+			// Named by the entry, without the extension
+			input: Object.fromEntries( files.map( file => [ file.stem, file.path ] ) ),
+			cache: getCache( isCache, key ),
+		} )
+			.then( bundle => {
+				if ( isCache && bundle.cache ) {
+					cache[ key ] = bundle.cache;
+
+					if ( typeof isCache === 'object' ) {
+						isCache.set( key, bundle.cache );
+					}
+				}
+
+				return bundle.generate( {
+					...outputOptions,
+					dir: directory,
+					// Without the sourceMappingURL comment, which dest() adds
+					sourcemap: createSourceMap ? 'hidden' : false,
+				} );
+			} )
+			.then( ( { output } ) => {
+				const chunks = new Map( output.filter( chunk => chunk.type === 'chunk' ).map( chunk => [ chunk.fileName, chunk ] ) );
+
+				return [ ...chunks.values() ].map( chunk => {
+					const entry = chunk.isEntry && files.find( file => file.path === chunk.facadeModuleId );
+					const file = createFile( chunk, entry || files[ 0 ], directory, createSourceMap );
+
+					// Expose what the chunk imports, for anything after
+					file.rollup = {
+						isEntry: chunk.isEntry,
+						imports: chunk.isEntry ? getAllExternals( chunk, chunks ) : getExternals( chunk, chunks ),
+						dynamicImports: chunk.dynamicImports,
+					};
+
+					return file;
+				} );
+			} );
+	}
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.isNull() ) {
+				return cb( null, file );
+			}
+
+			const group = groupBy( file );
+			if ( ! groups.has( group ) ) {
+				groups.set( group, [] );
+			}
+
+			groups.get( group ).push( file );
+
+			cb();
+		}
+
+		_flush( cb ) {
+			// One group at a time, to keep the memory use down
+			[ ...groups ].reduce( ( previous, [ group, files ] ) => previous
+				.then( () => bundleGroup( group, files ) )
+				.then( outputs => outputs.forEach( output => this.push( output ) ) ), Promise.resolve() )
+				.then( () => cb() )
+				.catch( cb );
+		}
+	}( {
+		objectMode: true,
+	} );
+};
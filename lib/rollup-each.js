@@ -4,8 +4,22 @@ const Transform = require( 'stream' ).Transform;
 const path = require( 'path' );
 const defaultRollup = require( 'rollup' );
 const applySourceMap = require( 'vinyl-sourcemaps-apply' );
+const { GLOBAL_PREFIX } = require( './externals' );
 
-const cache = {}; // cache - ( outside of export )
+const cache = {}; // cache - ( outside of export ), keyed by the full path
+
+// `isCache` can also be a persistent store (with get/set), for reuse between runs
+function getCache( isCache, key ) {
+	if ( ! isCache ) {
+		return false;
+	}
+
+	if ( ! cache[ key ] && typeof isCache === 'object' ) {
+		cache[ key ] = isCache.get( key );
+	}
+
+	return cache[ key ];
+}
 
 module.exports = function ( arg1, arg2, injectedRollup ) {
 	const rollup = ( injectedRollup || defaultRollup ).rollup;
@@ -13,31 +27,40 @@ module.exports = function ( arg1, arg2, injectedRollup ) {
 	return new class extends Transform {
 		_transform ( file, encoding, cb ) {
 			const input = path.relative( file.cwd, file.path );
-			const ref = path.parse( input ); // Input name
 
 			let inputOptions = typeof arg1 === 'function' ? arg1( file ) : arg1 || {};
+
+			// `cacheKey` distinguishes builds of the same file with different options
+			const { isCache, cacheKey } = inputOptions;
+			const key = cacheKey ? `${ file.path }:${ cacheKey }` : file.path;
 			inputOptions = Object.assign( {}, inputOptions, {
 				input,
-				cache: inputOptions.isCache ? cache[ ref.name ] : false
+				cache: getCache( isCache, key )
 			} );
 
 			// Replace `isCache` option for object
 			// Prevent Rollup throwing error of unkown `isCache` key.
 			delete inputOptions.isCache;
+			delete inputOptions.cacheKey;
 
 			// Extract output options from input options if arg2 does not exist
 			arg2 = arg2 == null ? inputOptions.output : arg2;
 			const outputOptions = typeof arg2 === 'function' ? arg2( file ) : arg2 || {};
 
 			// SourceMap
+			// Without the sourceMappingURL comment, which dest() adds
 			const createSourceMap = file.sourceMap !== undefined;
-			outputOptions.sourcemap = createSourceMap;
+			outputOptions.sourcemap = createSourceMap ? 'hidden' : false;
 
 			rollup( inputOptions )
 				.then( bundle => {
 					// cache the bundle
-					if ( bundle.cache ) {
-						cache[ ref.name ] = bundle.cache;
+					if ( isCache && bundle.cache ) {
+						cache[ key ] = bundle.cache;
+
+						if ( typeof isCache === 'object' ) {
+							isCache.set( key, bundle.cache );
+						}
 					}
 
 					return bundle.generate( outputOptions );
@@ -47,6 +70,16 @@ module.exports = function ( arg1, arg2, injectedRollup ) {
 
 					file.contents = Buffer.from( output.code );
 
+					// Expose what the bundle imports, for anything after; including the
+					// externals referenced as globals by ES builds
+					file.rollup = {
+						imports: [
+							...output.imports,
+							...output.moduleIds.filter( id => id.startsWith( GLOBAL_PREFIX ) ).map( id => id.slice( GLOBAL_PREFIX.length ) ),
+						],
+						dynamicImports: output.dynamicImports,
+					};
+
 					if ( createSourceMap ) {
 						const map = output.map;
 						map.file = input;
@@ -57,7 +90,8 @@ module.exports = function ( arg1, arg2, injectedRollup ) {
 					}
 
 					cb( null, file );
-				} );
+				} )
+				.catch( cb );
 		}
 	}( {
 		objectMode: true
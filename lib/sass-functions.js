@@ -0,0 +1,219 @@
+// Custom Sass functions available to all stylesheets; paths are relative to the
+// stylesheet calling them (or the project root), which the importer passes to them
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+const { pathToFileURL, fileURLToPath } = require( 'url' );
+const sass = require( 'sass' );
+
+// Calls of the functions, which Sass names the same with - or _
+const CALLS = /(?<![\w-])(inline[-_]svg|json[-_]token|asset[-_]url)\(/g;
+
+// Find the file relative to the directory, falling back to the project root
+function resolveFile( filename, directory ) {
+	for ( const base of [ directory, process.cwd() ] ) {
+		const resolved = path.resolve( base, filename );
+		if ( fs.existsSync( resolved ) ) {
+			return resolved;
+		}
+	}
+
+	throw new Error( `Cannot find file "${ filename }"` );
+}
+
+// Encode an SVG for a data URI, keeping it readable (and smaller than base64)
+function encodeSvg( svg ) {
+	return svg
+		.replace( /\s+/g, ' ' )
+		.replace( /"/g, '\'' )
+		.replace( /[%#<>{}]/g, char => encodeURIComponent( char ) )
+		.trim();
+}
+
+// Convert a JSON value to a Sass one; strings that look like numbers (e.g. 16px) become numbers
+function toSassValue( value ) {
+	if ( value === null || value === undefined ) {
+		return sass.sassNull;
+	}
+
+	if ( typeof value === 'boolean' ) {
+		return value ? sass.sassTrue : sass.sassFalse;
+	}
+
+	if ( typeof value === 'number' ) {
+		return new sass.SassNumber( value );
+	}
+
+	if ( Array.isArray( value ) ) {
+		return new sass.SassList( value.map( toSassValue ) );
+	}
+
+	if ( typeof value === 'object' ) {
+		// Build on an empty map's contents, to avoid requiring immutable directly
+		let contents = new sass.SassMap().contents;
+		for ( const [ key, item ] of Object.entries( value ) ) {
+			contents = contents.set( new sass.SassString( key ), toSassValue( item ) );
+		}
+
+		return new sass.SassMap( contents );
+	}
+
+	const [ , number, unit ] = String( value ).match( /^(-?\d*\.?\d+)([a-z%]*)$/i ) || [];
+	if ( number ) {
+		return new sass.SassNumber( parseFloat( number ), unit || undefined );
+	}
+
+	return new sass.SassString( String( value ), { quotes: false } );
+}
+
+// The functions, each passed its arguments, the directory to resolve paths from
+// and that of the file being compiled
+const functions = {
+	// Inline an SVG file as a data URI
+	'inline-svg': {
+		parameters: '$path',
+		callback( [ filename ], directory ) {
+			const svg = fs.readFileSync( resolveFile( filename.assertString( 'path' ).text, directory ), { encoding: 'utf-8' } );
+
+			return new sass.SassString( `url("data:image/svg+xml,${ encodeSvg( svg ) }")`, { quotes: false } );
+		},
+	},
+
+	// Get a value from a JSON (e.g. design tokens) file, by its dot separated key
+	'json-token': {
+		parameters: '$path, $key: null',
+		callback( [ filename, key ], directory ) {
+			const data = JSON.parse( fs.readFileSync( resolveFile( filename.assertString( 'path' ).text, directory ), { encoding: 'utf-8' } ) );
+
+			if ( key === sass.sassNull ) {
+				return toSassValue( data );
+			}
+
+			const value = key.assertString( 'key' ).text.split( '.' ).reduce( ( result, part ) => result?.[ part ], data );
+			if ( value === undefined ) {
+				throw new Error( `Token "${ key.text }" not found` );
+			}
+
+			return toSassValue( value );
+		},
+	},
+
+	// Reference an asset with a version (content hash) to bust caches
+	'asset-url': {
+		parameters: '$path',
+		callback( [ filename ], directory, entryDirectory ) {
+			let url = filename.assertString( 'path' ).text;
+			const resolved = resolveFile( url, directory );
+
+			// Relative to the file being compiled (like its output) if relative to a partial
+			if ( directory !== entryDirectory && resolved === path.resolve( directory, url ) ) {
+				url = path.relative( entryDirectory, resolved ).split( path.sep ).join( '/' );
+			}
+
+			const contents = fs.readFileSync( resolved );
+			const version = crypto.createHash( 'md5' ).update( contents ).digest( 'hex' ).slice( 0, 8 );
+
+			return new sass.SassString( `url("${ url }?ver=${ version }")`, { quotes: false } );
+		},
+	},
+};
+
+// Pass the stylesheet's URL to the functions it calls, as the first argument of their -from versions
+function addCaller( contents, url ) {
+	return contents.replace( CALLS, ( match, name ) => `${ name }-from("${ url }", ` );
+}
+
+// The file found in the first group of candidates that has one,
+// erroring if it's ambiguous, like Sass does
+function findFile( groups ) {
+	for ( const group of groups ) {
+		const found = group.filter( filename => fs.existsSync( filename ) && fs.statSync( filename ).isFile() );
+
+		if ( found.length > 1 ) {
+			throw new Error( `It's not clear which file to import, found:\n${ found.join( '\n' ) }` );
+		}
+
+		if ( found.length ) {
+			return found[ 0 ];
+		}
+	}
+
+	return null;
+}
+
+function withPartial( filename ) {
+	return [ filename, path.join( path.dirname( filename ), `_${ path.basename( filename ) }` ) ];
+}
+
+// Find the stylesheet a load refers to, with or without the extension, as a partial,
+// import-only file (for @import) or index file
+function resolveStylesheet( filename, fromImport ) {
+	if ( /\.(sass|scss|css)$/.test( filename ) ) {
+		return findFile( [ withPartial( filename ) ] );
+	}
+
+	const getGroups = base => [
+		...( fromImport ? [ [ '.sass', '.scss' ].flatMap( extname => withPartial( `${ base }.import${ extname }` ) ) ] : [] ),
+		[ '.sass', '.scss' ].flatMap( extname => withPartial( base + extname ) ),
+		withPartial( `${ base }.css` ),
+	];
+
+	return findFile( [ ...getGroups( filename ), ...getGroups( path.join( filename, 'index' ) ) ] );
+}
+
+// Load stylesheets from the filesystem as Sass does (relative to the loading file, then
+// each load path), passing each one's URL to the functions it calls; use it for the entry's
+// relative loads (the importer option) and the others (in importers)
+function createImporter( options = {} ) {
+	const { loadPaths = [] } = options;
+
+	return {
+		canonicalize( url, { fromImport } ) {
+			if ( url.startsWith( 'file:' ) ) {
+				const resolved = resolveStylesheet( fileURLToPath( url ), fromImport );
+				return resolved ? pathToFileURL( resolved ) : null;
+			}
+
+			// Other schemes (e.g. pkg:) are for other importers
+			if ( /^[a-z][a-z\d+.-]*:/i.test( url ) ) {
+				return null;
+			}
+
+			for ( const loadPath of loadPaths ) {
+				const resolved = resolveStylesheet( path.resolve( loadPath, url ), fromImport );
+				if ( resolved ) {
+					return pathToFileURL( resolved );
+				}
+			}
+
+			return null;
+		},
+
+		load( canonicalUrl ) {
+			const filename = fileURLToPath( canonicalUrl );
+			const extname = path.extname( filename );
+			const contents = fs.readFileSync( filename, { encoding: 'utf-8' } );
+
+			// Plain CSS can't call them
+			return {
+				contents: extname === '.css' ? contents : addCaller( contents, canonicalUrl.href ),
+				syntax: { '.sass': 'indented', '.css': 'css' }[ extname ] || 'scss',
+				sourceMapUrl: canonicalUrl,
+			};
+		},
+	};
+}
+
+// The functions for the file being compiled, which resolve paths from it unless they're
+// called with the calling stylesheet's URL (by those the importer loads)
+module.exports = function( file ) {
+	const directory = path.dirname( file.path );
+
+	return Object.fromEntries( Object.entries( functions ).flatMap( ( [ name, { parameters, callback } ] ) => [
+		[ `${ name }(${ parameters })`, args => callback( args, directory, directory ) ],
+		[ `${ name }-from($from, ${ parameters })`, ( [ from, ...args ] ) => callback( args, path.dirname( fileURLToPath( from.assertString( 'from' ).text ) ), directory ) ],
+	] ) );
+};
+
+module.exports.createImporter = createImporter;
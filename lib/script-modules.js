@@ -0,0 +1,98 @@
+// Keep a modules.json in each output folder for differential builds, mapping each entry
+// to its modern (type="module") and legacy (nomodule) scripts, for templates to load
+
+const Transform = require( 'stream' ).Transform;
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+const MODULES = 'modules.json';
+
+function readModules( filename ) {
+	try {
+		return JSON.parse( fs.readFileSync( filename, { encoding: 'utf-8' } ) );
+	} catch {
+		return {};
+	}
+}
+
+function writeModules( filename, data ) {
+	// Remove it if it's now empty
+	if ( ! Object.keys( data ).length ) {
+		fs.rmSync( filename, { force: true } );
+		return;
+	}
+
+	// Sort by name for consistent output
+	const sorted = Object.fromEntries( Object.entries( data ).sort( ( [ a ], [ b ] ) => a.localeCompare( b ) ) );
+
+	fs.writeFileSync( filename, JSON.stringify( sorted, null, '\t' ) + '\n' );
+}
+
+// The entry's name, regardless of the variant/.min/hashing
+function getName( basename ) {
+	return basename.replace( /(\.legacy)?(\.min)?\.js$/, '' );
+}
+
+// Must be used after dest(), with the type of script (module or nomodule)
+function record( type ) {
+	// Scripts grouped by their folder
+	const folders = new Map();
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			// Only the entries, which load any chunks themselves
+			if ( ! file.isNull() && file.extname === '.js' && ! ( file.rollup && file.rollup.isEntry === false ) ) {
+				const folder = path.dirname( file.path );
+				if ( ! folders.has( folder ) ) {
+					folders.set( folder, {} );
+				}
+
+				folders.get( folder )[ getName( file.manifestName || file.basename ) ] = file.basename;
+			}
+
+			cb( null, file );
+		}
+
+		_flush( cb ) {
+			try {
+				for ( const [ folder, scripts ] of folders ) {
+					const filename = path.join( folder, MODULES );
+
+					// Update the existing file, so the other type/skipped entries are kept
+					const data = readModules( filename );
+					for ( const [ name, basename ] of Object.entries( scripts ) ) {
+						data[ name ] = { ...data[ name ], [ type ]: basename };
+					}
+
+					writeModules( filename, data );
+				}
+			} catch ( error ) {
+				return cb( error );
+			}
+
+			cb();
+		}
+	}( {
+		objectMode: true,
+	} );
+}
+
+// Remove the entry's scripts from its folder's modules.json
+function remove( filename ) {
+	const modulesFile = path.join( path.dirname( filename ), MODULES );
+	if ( ! fs.existsSync( modulesFile ) ) {
+		return;
+	}
+
+	const data = readModules( modulesFile );
+	delete data[ getName( path.basename( filename ) ) ];
+
+	writeModules( modulesFile, data );
+}
+
+module.exports = {
+	record,
+	remove,
+	readModules,
+	MODULES,
+};
@@ -0,0 +1,148 @@
+// Report the raw/gzip/brotli size of each output (and the change since the
+// last build), checking them against any size budgets
+
+const Transform = require( 'stream' ).Transform;
+const path = require( 'path' );
+const zlib = require( 'zlib' );
+const picomatch = require( 'picomatch' );
+
+const UNITS = {
+	b: 1,
+	kb: 1024,
+	mb: 1024 * 1024,
+};
+
+// Parse a size like 250 KB (or a number of bytes)
+function parseSize( size ) {
+	if ( typeof size === 'number' ) {
+		return size;
+	}
+
+	const [ , value, unit = 'b' ] = String( size ).trim().toLowerCase().match( /^(\d*\.?\d+)\s*(b|kb|mb)?$/ ) || [];
+	if ( ! value ) {
+		throw new Error( `Invalid size budget "${ size }"` );
+	}
+
+	return Math.round( parseFloat( value ) * UNITS[ unit ] );
+}
+
+// Remove the sourceMappingURL comment dest() adds, since inline sourcemaps
+// (in development) aren't part of the size that matters
+function stripSourceMap( contents ) {
+	return Buffer.from( contents.toString().replace( /\n?(\/\/# sourceMappingURL=\S+|\/\*# sourceMappingURL=\S+ \*\/)\s*$/, '' ) );
+}
+
+function formatSize( bytes ) {
+	const absolute = Math.abs( bytes );
+
+	if ( absolute < UNITS.kb ) {
+		return `${ bytes } B`;
+	}
+
+	if ( absolute < UNITS.mb ) {
+		return `${ ( bytes / UNITS.kb ).toFixed( 1 ) } KB`;
+	}
+
+	return `${ ( bytes / UNITS.mb ).toFixed( 2 ) } MB`;
+}
+
+function formatChange( size, previous ) {
+	if ( ! previous ) {
+		return 'new';
+	}
+
+	const change = size - previous.raw;
+	if ( ! change ) {
+		return '±0 B';
+	}
+
+	return `${ change > 0 ? '+' : '-' }${ formatSize( Math.abs( change ) ) }`;
+}
+
+function printTable( rows ) {
+	const header = [ 'File', 'Size', 'Gzip', 'Brotli', 'Change' ];
+	const widths = header.map( ( title, index ) => Math.max( title.length, ...rows.map( row => row[ index ].length ) ) );
+
+	for ( const row of [ header, ...rows ] ) {
+		console.info( row.map( ( cell, index ) => index ? cell.padStart( widths[ index ] ) : cell.padEnd( widths[ index ] ) ).join( '  ' ) );
+	}
+}
+
+// Budgets map globs (matched against the output path) to a size limit for the raw size,
+// or an object of limits for each of raw, gzip and brotli
+function getBudgetMatchers( budgets ) {
+	return Object.entries( budgets ).map( ( [ glob, limits ] ) => ( {
+		glob,
+		isMatch: picomatch( glob, { dot: true } ),
+		limits: Object.fromEntries( Object.entries( typeof limits === 'object' ? limits : { raw: limits } )
+			.map( ( [ type, limit ] ) => [ type, parseSize( limit ) ] ) ),
+	} ) );
+}
+
+// Options are the budgets, whether exceeding them fails (or just warns),
+// and a store (with get/set) of the previous sizes
+module.exports = function( options = {} ) {
+	const { budgets = {}, fail = false, store = new Map() } = options;
+
+	const matchers = getBudgetMatchers( budgets );
+	const rows = [];
+	const exceeded = [];
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			// Only report the scripts/styles themselves
+			if ( file.isNull() || ! [ '.js', '.css' ].includes( file.extname ) ) {
+				return cb( null, file );
+			}
+
+			const filename = path.relative( process.cwd(), file.path ).split( path.sep ).join( '/' );
+			const contents = stripSourceMap( file.contents );
+
+			const sizes = {
+				raw: contents.length,
+				gzip: zlib.gzipSync( contents, { level: 9 } ).length,
+				brotli: zlib.brotliCompressSync( contents ).length,
+			};
+
+			// Compare by the unhashed name, since the hash changes with the contents
+			const key = file.manifestName ? path.posix.join( path.posix.dirname( filename ), file.manifestName ) : filename;
+			const previous = store.get( key );
+			store.set( key, sizes );
+
+			rows.push( [ filename, formatSize( sizes.raw ), formatSize( sizes.gzip ), formatSize( sizes.brotli ), formatChange( sizes.raw, previous ) ] );
+
+			for ( const { isMatch, limits } of matchers ) {
+				if ( ! isMatch( filename ) ) {
+					continue;
+				}
+
+				for ( const [ type, limit ] of Object.entries( limits ) ) {
+					if ( sizes[ type ] > limit ) {
+						exceeded.push( `${ filename } is ${ formatSize( sizes[ type ] ) }${ type === 'raw' ? '' : ` (${ type })` }, over the ${ formatSize( limit ) } budget` );
+					}
+				}
+			}
+
+			cb( null, file );
+		}
+
+		_flush( cb ) {
+			// Sorted, since merged builds (e.g. modern and legacy) interleave
+			if ( rows.length ) {
+				printTable( rows.sort( ( a, b ) => a[ 0 ].localeCompare( b[ 0 ] ) ) );
+			}
+
+			exceeded.forEach( message => console.warn( 'Size budget exceeded: %s', message ) );
+
+			if ( fail && exceeded.length ) {
+				return cb( new Error( `${ exceeded.length } ${ exceeded.length === 1 ? 'file exceeds its' : 'files exceed their' } size budget` ) );
+			}
+
+			cb();
+		}
+	}( {
+		objectMode: true,
+	} );
+};
+
+module.exports.parseSize = parseSize;
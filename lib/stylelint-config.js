@@ -0,0 +1,15 @@
+// Default Stylelint config, used when the project doesn't have its own
+
+module.exports = {
+	extends: [
+		// Resolved here, since the project may not have it installed directly
+		require.resolve( 'stylelint-config-standard-scss' ),
+	],
+	rules: {
+		// Allow BEM and WordPress (e.g. --wp--preset--color) naming
+		'selector-class-pattern': null,
+		'selector-id-pattern': null,
+		'custom-property-pattern': null,
+		'scss/dollar-variable-pattern': null,
+	},
+};
@@ -0,0 +1,129 @@
+// Combine folders of SVG icons into <symbol> sprites,
+// along with JSON/SCSS maps of the icons they contain
+
+const Transform = require( 'stream' ).Transform;
+const path = require( 'path' );
+const { optimize } = require( 'svgo' );
+
+// Root attributes that don't belong on the <symbol>
+const skipAttributes = [ 'xmlns', 'xmlns:xlink', 'version', 'id', 'class', 'width', 'height', 'viewBox', 'x', 'y' ];
+
+function parseIcon( name, contents ) {
+	const { data } = optimize( contents, {
+		multipass: true,
+		plugins: [
+			'preset-default',
+			// Prevent IDs (gradients, masks, etc) colliding between icons
+			{
+				name: 'prefixIds',
+				params: {
+					prefix: name,
+				},
+			},
+		],
+	} );
+
+	const [ , attributeString = '', content = '' ] = data.match( /<svg([^>]*)>([\s\S]*)<\/svg>/ ) || [];
+
+	const attributes = {};
+	attributeString.replace( /([\w:-]+)="([^"]*)"/g, ( match, key, value ) => {
+		attributes[ key ] = value;
+	} );
+
+	// Fallback to the dimensions if there's no viewBox
+	let viewBox = attributes.viewBox;
+	if ( ! viewBox && attributes.width && attributes.height ) {
+		viewBox = `0 0 ${ parseFloat( attributes.width ) } ${ parseFloat( attributes.height ) }`;
+	}
+
+	// Keep presentation attributes (fill, stroke, etc)
+	const extraAttributes = Object.entries( attributes )
+		.filter( ( [ key ] ) => ! skipAttributes.includes( key ) )
+		.map( ( [ key, value ] ) => ` ${ key }="${ value }"` )
+		.join( '' );
+
+	return { viewBox, extraAttributes, content };
+}
+
+function buildSprite( icons, prefix ) {
+	const symbols = [];
+	const map = {};
+
+	for ( const [ name, file ] of icons ) {
+		const id = prefix + name;
+		const { viewBox, extraAttributes, content } = parseIcon( id, file.contents.toString() );
+
+		symbols.push( `<symbol id="${ id }"${ viewBox ? ` viewBox="${ viewBox }"` : '' }${ extraAttributes }>${ content }</symbol>` );
+		map[ name ] = { id, viewBox };
+	}
+
+	const sprite = `<svg xmlns="http://www.w3.org/2000/svg" style="display:none">${ symbols.join( '' ) }</svg>`;
+
+	const json = JSON.stringify( map, null, '\t' ) + '\n';
+
+	const scss = [
+		'// Generated from the icons folder, do not edit',
+		'$icons: (',
+		...Object.entries( map ).map( ( [ name, { id } ] ) => `\t'${ name }': '${ id }',` ),
+		');',
+		'',
+	].join( '\n' );
+
+	return { sprite, json, scss };
+}
+
+// Create a new file alongside the original, based on its clone
+function createFile( file, filename, contents ) {
+	const copy = file.clone( { contents: false } );
+	copy.path = path.join( path.dirname( path.dirname( file.path ) ), filename );
+	copy.contents = Buffer.from( contents );
+
+	return copy;
+}
+
+module.exports = function( options = {} ) {
+	const { prefix = 'icon-' } = options;
+
+	// Icons grouped by their folder
+	const folders = new Map();
+
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			if ( file.isNull() ) {
+				return cb();
+			}
+
+			const folder = path.dirname( file.path );
+			if ( ! folders.has( folder ) ) {
+				folders.set( folder, new Map() );
+			}
+
+			folders.get( folder ).set( file.stem, file );
+
+			cb();
+		}
+
+		_flush( cb ) {
+			try {
+				for ( const [ folder, icons ] of folders ) {
+					// Sort by name for consistent output
+					const sorted = [ ...icons ].sort( ( [ a ], [ b ] ) => a.localeCompare( b ) );
+					const { sprite, json, scss } = buildSprite( sorted, prefix );
+
+					const [ , first ] = sorted[ 0 ];
+					const name = path.basename( folder );
+
+					this.push( createFile( first, `${ name }.svg`, sprite ) );
+					this.push( createFile( first, `${ name }.json`, json ) );
+					this.push( createFile( first, `_${ name }.scss`, scss ) );
+				}
+			} catch ( error ) {
+				return cb( error );
+			}
+
+			cb();
+		}
+	}( {
+		objectMode: true,
+	} );
+};
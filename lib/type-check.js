@@ -0,0 +1,17 @@
+// Type check with TypeScript (the project's, if installed) using its tsconfig.json,
+// without emitting anything; optionally watching for changes
+
+const { spawn } = require( 'child_process' );
+
+module.exports = function( options = {} ) {
+	const { project = 'tsconfig.json', watch = false } = options;
+
+	const tsc = require.resolve( 'typescript/bin/tsc', { paths: [ process.cwd(), __dirname ] } );
+
+	const args = [ tsc, '--noEmit', '--pretty', '--project', project ];
+	if ( watch ) {
+		args.push( '--watch', '--preserveWatchOutput' );
+	}
+
+	return spawn( process.execPath, args, { stdio: 'inherit' } );
+};
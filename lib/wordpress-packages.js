@@ -0,0 +1,138 @@
+// Resolve the themes and plugins built by the WordPress templates, each with its
+// own layout (where its sources are and the assets built from them), and report their status
+
+const path = require( 'path' );
+
+// The sources of each layout, only those being built, and the assets built from
+// them (e.g. assets/scss to assets/css, assets/src/js to assets/dist/js) for syncing
+const layouts = {
+	wordpress: {
+		sources: {
+			styles: [ 'assets/css/*.scss', 'assets/scss/*.scss' ],
+			scripts: [ 'assets/js/src/*.{js,jsx,ts,tsx}' ],
+			images: [ 'assets/img/src/**/*.{png,jpg,jpeg,gif,svg}' ],
+		},
+		built: [ 'assets/img/**', 'assets/css/*.css', 'assets/js/dist/*.min.js' ],
+	},
+	'wordpress-new': {
+		sources: {
+			styles: [ 'assets/src/scss/*.scss' ],
+			scripts: [ 'assets/src/js/*.{js,jsx,ts,tsx}' ],
+			images: [ 'assets/src/img/**/*.{png,jpg,jpeg,gif,svg}' ],
+		},
+		built: [ 'assets/img/**', 'assets/dist/img/**', 'assets/dist/css/*.css', 'assets/dist/js/*.min.js' ],
+	},
+};
+
+const folders = {
+	theme: 'themes',
+	plugin: 'mu-plugins',
+};
+
+function normalize( filepath ) {
+	return filepath.split( path.sep ).join( '/' ).replace( /^\.\/|\/$/g, '' );
+}
+
+// Each theme/plugin is its ID, or the id, dir (themes/<id> or mu-plugins/<id> by default),
+// layout (the template's by default) and any watchFiles (relative to the dir) to sync
+function resolvePackages( options = {} ) {
+	const { themes = [], plugins = [], layout = 'wordpress' } = options;
+
+	const resolve = type => item => {
+		const { id, dir = `${ folders[ type ] }/${ id }`, layout: packageLayout = layout, watchFiles = [] } = typeof item === 'string' ? { id: item } : item;
+
+		if ( ! id ) {
+			throw new Error( `Each of the ${ type }s needs an id` );
+		}
+
+		if ( ! layouts[ packageLayout ] ) {
+			throw new Error( `Unknown layout "${ packageLayout }" for ${ id }, it should be one of ${ Object.keys( layouts ).join( ', ' ) }` );
+		}
+
+		return {
+			type,
+			id,
+			dir: normalize( dir ),
+			layout: packageLayout,
+			watchFiles,
+		};
+	};
+
+	return [ ...themes.map( resolve( 'theme' ) ), ...plugins.map( resolve( 'plugin' ) ) ];
+}
+
+// The subdirs glob, for only building the packages
+function getSubdirs( packages ) {
+	const dirs = packages.map( ( { dir } ) => dir );
+
+	return dirs.length > 1 ? `{${ dirs.join( ',' ) }}` : dirs[ 0 ];
+}
+
+// The paths with the styles, scripts and images built from each package's layout
+// only, keeping the exclusions (e.g. partials) of the given paths; globbed from
+// the package's dir, since a missing folder (e.g. no assets/src/js) fails a build
+function getPaths( packages, paths ) {
+	const getInput = type => [
+		...packages.flatMap( ( { dir, layout } ) => layouts[ layout ].sources[ type ].map( glob => `./${ dir }/**/${ glob }` ) ),
+		...paths[ type ].input.filter( glob => glob.startsWith( '!' ) ),
+	];
+
+	return {
+		...paths,
+		styles: { ...paths.styles, input: getInput( 'styles' ) },
+		scripts: { ...paths.scripts, input: getInput( 'scripts' ) },
+		images: { ...paths.images, input: getInput( 'images' ) },
+	};
+}
+
+// The built assets of each package to sync, with themes' mockups, and PHP files when proxying
+function getSyncWatchFiles( packages, options = {} ) {
+	const { proxy = false } = options;
+
+	return packages.flatMap( ( { type, dir, layout, watchFiles } ) => [
+		...layouts[ layout ].built,
+		...( type === 'theme' ? [ 'mockup/*.html', 'mockup/*.css', 'mockup/*.js' ] : [] ),
+		...( proxy ? [ '**/*.php' ] : [] ),
+		...watchFiles,
+	].map( file => `./${ dir }/${ file }` ) );
+}
+
+// Report the status of each package after a build (e.g. styles), from the files
+// built and errors caught; only those affected unless all is set
+function reportPackages( packages, build, result, options = {} ) {
+	const { files, errors } = result;
+	const { all = true } = options;
+
+	// The outputs, besides sourcemaps
+	const built = files.filter( file => file.extname !== '.map' ).map( file => normalize( path.relative( process.cwd(), file.path ) ) );
+
+	const rows = packages.map( ( { dir } ) => {
+		const isInPackage = filepath => filepath.startsWith( `${ dir }/` );
+		const count = built.filter( isInPackage ).length;
+		const failed = errors.filter( error => isInPackage( error.location ) ).length;
+
+		if ( failed ) {
+			return [ dir, `failed (${ failed } ${ failed === 1 ? 'error' : 'errors' })` ];
+		}
+
+		return [ dir, count ? `built ${ count } ${ count === 1 ? 'file' : 'files' }` : '' ];
+	} ).filter( ( [ , status ] ) => status || all );
+
+	if ( ! rows.length ) {
+		return;
+	}
+
+	const width = Math.max( ...rows.map( ( [ dir ] ) => dir.length ) );
+
+	console.info( 'Status of %s:', build );
+	rows.forEach( ( [ dir, status ] ) => console.info( '  %s  %s', dir.padEnd( width ), status || 'nothing to build' ) );
+}
+
+module.exports = {
+	layouts,
+	resolvePackages,
+	getSubdirs,
+	getPaths,
+	getSyncWatchFiles,
+	reportPackages,
+};
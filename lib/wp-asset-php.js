@@ -0,0 +1,70 @@
+// Generate a <name>.asset.php file for each bundle, like @wordpress/scripts does,
+// listing the WordPress script handles it uses and a content hash version
+
+const Transform = require( 'stream' ).Transform;
+const crypto = require( 'crypto' );
+
+// Handles for non-@wordpress packages that WordPress registers
+const packageHandles = {
+	jquery: 'jquery',
+	lodash: 'lodash',
+	moment: 'moment',
+	react: 'react',
+	'react-dom': 'react-dom',
+	'react/jsx-runtime': 'react-jsx-runtime',
+};
+
+// Get the handle for an imported package, if it's one WordPress registers
+function getPackageHandle( id ) {
+	if ( id.startsWith( '@wordpress/' ) ) {
+		return 'wp-' + id.slice( '@wordpress/'.length );
+	}
+
+	return packageHandles[ id ] || false;
+}
+
+// The handles of the externals the bundle imports (whatever the format)
+function getDependencies( file ) {
+	const { imports = [] } = file.rollup || {};
+
+	const handles = new Set( imports.map( getPackageHandle ).filter( Boolean ) );
+
+	return [ ...handles ].sort();
+}
+
+function toPhp( dependencies, version ) {
+	const list = dependencies.map( handle => `'${ handle }'` ).join( ', ' );
+
+	return `<?php return array('dependencies' => array(${ list }), 'version' => '${ version }');\n`;
+}
+
+module.exports = function() {
+	return new class extends Transform {
+		_transform( file, encoding, cb ) {
+			// Shared chunks are loaded by their entries, which list their dependencies
+			if ( file.isNull() || file.extname !== '.js' || ( file.rollup && file.rollup.isEntry === false ) ) {
+				return cb( null, file );
+			}
+
+			const version = crypto.createHash( 'md5' ).update( file.contents ).digest( 'hex' ).slice( 0, 20 );
+
+			// Named after the entry, regardless of .min/hashing
+			const name = ( file.manifestName || file.basename ).replace( /(\.min)?\.js$/, '' );
+
+			const asset = file.clone( { contents: false } );
+			asset.basename = `${ name }.asset.php`;
+			asset.contents = Buffer.from( toPhp( getDependencies( file ), version ) );
+
+			// Not hashed or mapped itself
+			delete asset.manifestName;
+			delete asset.sourceMap;
+
+			this.push( file );
+			cb( null, asset );
+		}
+	}( {
+		objectMode: true,
+	} );
+};
+
+module.exports.getPackageHandle = getPackageHandle;
@@ -0,0 +1,3 @@
+document.addEventListener( 'click', () => {
+	import( './inc/widget' ).then( ( { default: widget } ) => widget( window ) );
+}, { once: true } );